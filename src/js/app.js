@@ -4,42 +4,186 @@ import {
     addProduct, 
     updateProduct, 
     deleteProduct,
+    consumeProduct,
+    discardProduct,
+    removeProductLot,
+    findDuplicateProduct,
+    mergeIntoProduct,
+    mergeDuplicateProducts,
+    undoMergeDuplicates,
+    moveProduct,
+    getLocations,
+    addLocation,
+    updateLocation,
+    deleteLocation,
+    getCategories,
+    addCategory,
+    updateCategory,
+    reorderCategories,
+    deleteCategory,
+    getShoppingLists,
+    addShoppingList,
+    updateShoppingList,
+    deleteShoppingList,
+    moveShoppingItem,
+    getTemplates,
+    saveTemplate,
+    deleteTemplate,
+    applyTemplate,
+    getRecurringItems,
+    addRecurringItem,
+    deleteRecurringItem,
+    addDueRecurringItems,
+    applyPendingRestocks,
+    getShops,
+    addShop,
+    updateShop,
+    deleteShop,
     searchProducts,
+    getHistory,
     getShoppingList,
     addShoppingItem,
     toggleShoppingItem,
+    updateShoppingItem,
     deleteShoppingItem,
-    clearBoughtItems
+    clearBoughtItems,
+    moveItemsToInventory,
+    getTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    emptyTrash,
+    purgeExpiredTrash,
+    exportDatabase,
+    importDatabase,
+    getSyncSettings,
+    enableSync,
+    disableSync,
+    getOutboxCount,
+    setOutboxListener,
+    onExternalChange,
+    ConflictError,
+    STORES
 } from './db.js';
 
 import {
     formatDate,
     getExpiryStatus,
     getCategoryIcon,
+    getCategoryName,
+    setCategories,
+    FALLBACK_CATEGORY,
+    normalizeText,
+    DISCARD_REASONS,
+    getDaysUntilExpiry,
     debounce,
     showToast,
     vibrate,
     sortByExpiry,
     filterByExpiryStatus,
     formatQuantity,
-    sanitizeHTML
+    formatPrice,
+    sanitizeHTML,
+    escapeAttribute,
+    downloadFile,
+    readFileAsText,
+    getTodayISO
 } from './utils.js';
 
+import { productsToCSV, parseProductsCSV } from './csv.js';
+
+import { getLotEntries, estimateShelfLifeDays } from './lots.js';
+
+import {
+    UNITS,
+    parseAmount,
+    parseQuantityText,
+    convertQuantity,
+    areUnitsCompatible,
+    getCompatibleUnits,
+    getUnitLabel
+} from './units.js';
+
+import { highlightText } from './search.js';
+
+import { findDuplicateGroups } from './duplicates.js';
+
+import {
+    normalizeShoppingItem,
+    parseShoppingQuantity,
+    splitNameAndQuantity,
+    guessCategory,
+    groupShoppingItems,
+    getItemTotal,
+    getListTotals,
+    formatRecurrence,
+    formatListAsText,
+    parseListText
+} from './shopping.js';
+
+import {
+    getMonthlyTotals,
+    getWasteByCategory,
+    getMostWasted,
+    getStatsSummary,
+    getLastMonths,
+    getMonthlySpending,
+    getSpendingBreakdown,
+    getPriceHistory,
+    getPurchasedNames
+} from './stats.js';
+
+import { groupedBarChart, horizontalBarChart } from './charts.js';
+
+import { readSharedPayload, getSharedCandidates } from './share.js';
+
+import { requestSync, onSyncStatus, describeSyncStatus } from './sync.js';
+
 import {
     requestNotificationPermission,
     areNotificationsEnabled,
     scheduleExpiryChecks,
     sendTestNotification,
-    getNotificationPermission
+    getNotificationPermission,
+    updateAppBadge
 } from './notifications.js';
 
 
+const TRASH_DAYS_KEY = 'despensa_trash_days';
+const DEFAULT_TRASH_DAYS = 30;
+const CURRENT_SHOP_KEY = 'despensa_current_shop';
+const CURRENT_LIST_KEY = 'despensa_current_list';
+const MAIN_LIST_NAME = 'Lista principal';
+const UNDO_DURATION = 6000;
+
+
 let state = {
     products: [],
     shoppingList: [],
+    locations: [],
+    categories: [],
+    lists: [],
+    templates: [],
+    recurring: [],
+    currentListId: parseInt(localStorage.getItem(CURRENT_LIST_KEY)) || null,
+    movingShoppingId: null,
+    shops: [],
+    currentShopId: parseInt(localStorage.getItem(CURRENT_SHOP_KEY)) || null,
+    editingAislesShopId: null,
+    collapsedGroups: new Set(),
+    locationFilter: 'all',
+    movingProductId: null,
     currentTab: 'inventario',
     editingProductId: null,
-    expiryFilter: 'all'
+    editingProductBase: null,
+    editingShoppingId: null,
+    removal: null,
+    expiryFilter: 'all',
+    csvImportRows: [],
+    stowItems: [],
+    history: [],
+    spendingMonth: getLastMonths(1)[0].key,
+    duplicateGroups: [],
+    sync: { enabled: false, endpoint: '', pending: 0, status: null, lastSyncAt: null, lastError: null }
 };
 
 
@@ -51,17 +195,40 @@ const elements = {
     inventoryList: null,
     shoppingListEl: null,
     expiryList: null,
+    statsContent: null,
     searchInput: null,
     modalProduct: null,
     modalShopping: null,
+    modalRemove: null,
+    modalMove: null,
+    modalLocations: null,
+    modalCategories: null,
+    modalShops: null,
+    modalLists: null,
+    modalTemplates: null,
+    modalPaste: null,
+    modalShare: null,
+    modalRecurring: null,
+    modalMoveList: null,
+    modalTrash: null,
+    modalData: null,
+    modalCsv: null,
+    modalDuplicates: null,
+    modalStow: null,
     formProduct: null,
     formShopping: null,
-    btnInstall: null
+    btnInstall: null,
+    syncStatus: null
 };
 
 
 let deferredPrompt = null;
 
+/**
+ * Stores modificados en otras ventanas pendientes de releer
+ */
+const externalChanges = new Set();
+
 
 async function init() {
     try {
@@ -69,7 +236,15 @@ async function init() {
         cacheElements();
         
         
-        await initDB();
+        await initDB({
+            onBlocked: handleDBBlocked,
+            onVersionChange: handleDBVersionChange
+        });
+        
+        
+        await purgeExpiredTrash(getTrashDays());
+        const recurring = await addDueRecurringItems();
+        await applyPendingRestocks();
         
         
         await loadData();
@@ -85,6 +260,10 @@ async function init() {
         
         
         handleURLParams();
+        notifyRecurringAdded(recurring);
+        
+        
+        startSync();
         
         console.log('App inicializada correctamente');
         
@@ -95,6 +274,17 @@ async function init() {
 }
 
 
+function handleDBBlocked() {
+    showToast('Cierra las otras pestañas de la app para terminar de actualizar', 10000);
+}
+
+
+function handleDBVersionChange() {
+    showToast('La app se actualizó en otra pestaña. Recargando...');
+    setTimeout(() => window.location.reload(), 1500);
+}
+
+
 function cacheElements() {
     elements.loadingScreen = document.getElementById('loading-screen');
     elements.navTabs = document.querySelectorAll('.nav-tab');
@@ -102,12 +292,30 @@ function cacheElements() {
     elements.inventoryList = document.getElementById('inventory-list');
     elements.shoppingListEl = document.getElementById('shopping-list');
     elements.expiryList = document.getElementById('expiry-list');
+    elements.statsContent = document.getElementById('stats-content');
     elements.searchInput = document.getElementById('search-inventory');
     elements.modalProduct = document.getElementById('modal-product');
     elements.modalShopping = document.getElementById('modal-shopping');
+    elements.modalRemove = document.getElementById('modal-remove');
+    elements.modalTrash = document.getElementById('modal-trash');
+    elements.modalMove = document.getElementById('modal-move');
+    elements.modalLocations = document.getElementById('modal-locations');
+    elements.modalCategories = document.getElementById('modal-categories');
+    elements.modalShops = document.getElementById('modal-shops');
+    elements.modalLists = document.getElementById('modal-lists');
+    elements.modalTemplates = document.getElementById('modal-templates');
+    elements.modalPaste = document.getElementById('modal-paste');
+    elements.modalShare = document.getElementById('modal-share');
+    elements.modalRecurring = document.getElementById('modal-recurring');
+    elements.modalMoveList = document.getElementById('modal-move-list');
+    elements.modalData = document.getElementById('modal-data');
+    elements.modalCsv = document.getElementById('modal-csv');
+    elements.modalDuplicates = document.getElementById('modal-duplicates');
+    elements.modalStow = document.getElementById('modal-stow');
     elements.formProduct = document.getElementById('form-product');
     elements.formShopping = document.getElementById('form-shopping');
     elements.btnInstall = document.getElementById('btn-install');
+    elements.syncStatus = document.getElementById('sync-status');
 }
 
 
@@ -124,7 +332,16 @@ function hideLoadingScreen() {
 async function loadData() {
     state.products = await getAllProducts();
     state.shoppingList = await getShoppingList();
+    state.locations = await getLocations();
+    state.categories = await getCategories();
+    state.lists = await getShoppingLists();
+    state.shops = await getShops();
+    setCategories(state.categories);
     
+    renderCategoryOptions();
+    renderShopOptions();
+    renderLocationOptions();
+    renderLocationFilters();
     renderInventory();
     renderShoppingList();
     renderExpiryList();
@@ -157,13 +374,50 @@ function setupEventListeners() {
     elements.formProduct?.addEventListener('submit', handleProductSubmit);
 
     
+    document.getElementById('btn-add-lot')?.addEventListener('click', () => addLotRow());
+    document.getElementById('product-lots')?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="remove-lot"]')) {
+            e.target.closest('.lot-row')?.remove();
+        }
+    });
+
+    
     elements.formShopping?.addEventListener('submit', handleShoppingSubmit);
+    document.getElementById('shopping-name')?.addEventListener('input', updateParsedQuantity);
+    document.getElementById('shopping-quantity')?.addEventListener('input', updateParsedQuantity);
+    ['shopping-amount', 'shopping-unit'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', () => {
+            document.getElementById('shopping-amount').dataset.edited = 'true';
+        });
+    });
+
+    
+    document.getElementById('form-remove')?.addEventListener('submit', handleRemoveSubmit);
+    document.getElementById('btn-remove-all')?.addEventListener('click', () => {
+        const input = document.getElementById('remove-quantity');
+        input.value = input.max;
+    });
+    document.getElementById('remove-unit')?.addEventListener('change', handleRemoveUnitChange);
+    document.getElementById('product-unit')?.addEventListener('change', updatePackageSizeVisibility);
+
+    document.querySelector('.btn-close-remove')?.addEventListener('click', () => {
+        elements.modalRemove?.close();
+    });
+
+    elements.modalRemove?.addEventListener('click', (e) => {
+        if (e.target === elements.modalRemove) elements.modalRemove.close();
+    });
 
     
-    document.querySelectorAll('.btn-close, #btn-cancel').forEach(btn => {
+    document.querySelectorAll('.btn-close:not(.btn-close-categories), #btn-cancel').forEach(btn => {
         btn.addEventListener('click', closeModals);
     });
 
+    // Las categorías se gestionan desde el formulario de producto, que sigue abierto debajo
+    document.querySelector('.btn-close-categories')?.addEventListener('click', () => {
+        elements.modalCategories?.close();
+    });
+
     document.querySelector('.btn-close-shopping')?.addEventListener('click', () => {
         elements.modalShopping?.close();
     });
@@ -177,10 +431,153 @@ function setupEventListeners() {
         if (e.target === elements.modalShopping) elements.modalShopping.close();
     });
 
+    elements.modalData?.addEventListener('click', (e) => {
+        if (e.target === elements.modalData) elements.modalData.close();
+    });
+
+    
+    document.getElementById('location-filters')?.addEventListener('click', handleLocationFilterClick);
+    document.getElementById('move-options')?.addEventListener('click', handleMoveOptionClick);
+    document.getElementById('locations-list')?.addEventListener('change', handleLocationEdit);
+    document.getElementById('locations-list')?.addEventListener('click', handleLocationDelete);
+    document.getElementById('form-location')?.addEventListener('submit', handleLocationSubmit);
+
+    document.getElementById('btn-manage-categories')?.addEventListener('click', openCategoriesModal);
+    document.getElementById('categories-list')?.addEventListener('change', handleCategoryEdit);
+    document.getElementById('categories-list')?.addEventListener('click', handleCategoryAction);
+    document.getElementById('form-category')?.addEventListener('submit', handleCategorySubmit);
+
+    document.getElementById('shopping-lists')?.addEventListener('click', handleListSwitcherClick);
+    document.getElementById('lists-list')?.addEventListener('change', handleListEdit);
+    document.getElementById('lists-list')?.addEventListener('click', handleListDelete);
+    document.getElementById('form-list')?.addEventListener('submit', handleListSubmit);
+    document.getElementById('move-list-options')?.addEventListener('click', handleMoveListOptionClick);
+
+    document.getElementById('btn-share-list')?.addEventListener('click', handleShareList);
+    document.getElementById('btn-open-paste')?.addEventListener('click', openPasteModal);
+    document.getElementById('paste-text')?.addEventListener('input', updatePastePreview);
+    document.getElementById('form-paste')?.addEventListener('submit', handlePasteSubmit);
+
+    document.querySelector('.btn-close-paste')?.addEventListener('click', () => {
+        elements.modalPaste?.close();
+    });
+
+    document.getElementById('form-share')?.addEventListener('submit', handleShareSubmit);
+    document.getElementById('btn-add-share-row')?.addEventListener('click', () => {
+        document.getElementById('share-items').insertAdjacentHTML('beforeend', renderShareRow({ name: '', quantity: '' }));
+    });
+    document.getElementById('share-items')?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="remove-share-row"]')) e.target.closest('.share-row').remove();
+    });
+
+    document.querySelector('.btn-close-share')?.addEventListener('click', () => {
+        elements.modalShare?.close();
+    });
+
+    document.getElementById('btn-open-templates')?.addEventListener('click', openTemplatesModal);
+    document.getElementById('templates-list')?.addEventListener('click', handleTemplateAction);
+    document.getElementById('form-template')?.addEventListener('submit', handleTemplateSubmit);
+
+    document.getElementById('btn-open-recurring')?.addEventListener('click', openRecurringModal);
+    document.getElementById('recurring-list')?.addEventListener('click', handleRecurringDelete);
+    document.getElementById('form-recurring')?.addEventListener('submit', handleRecurringSubmit);
+
+    // Con la app abierta de un día para otro también aparecen los recurrentes
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkRecurringItems();
+    });
+    setInterval(checkRecurringItems, 60 * 60 * 1000);
+
+    document.getElementById('shopping-shop')?.addEventListener('change', handleShopChange);
+    document.getElementById('btn-manage-shops')?.addEventListener('click', openShopsModal);
+    document.getElementById('shops-list')?.addEventListener('change', handleShopEdit);
+    document.getElementById('shops-list')?.addEventListener('click', handleShopAction);
+    document.getElementById('aisles-list')?.addEventListener('click', handleAisleAction);
+    document.getElementById('form-shop')?.addEventListener('submit', handleShopSubmit);
+
+    [elements.modalMove, elements.modalLocations, elements.modalCategories, elements.modalShops,
+        elements.modalLists, elements.modalMoveList, elements.modalTemplates, elements.modalRecurring,
+        elements.modalPaste, elements.modalShare].forEach(modal => {
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.close();
+        });
+    });
+
+    
+    document.getElementById('btn-open-trash')?.addEventListener('click', openTrashModal);
+    document.getElementById('trash-list')?.addEventListener('click', handleTrashClick);
+    document.getElementById('btn-empty-trash')?.addEventListener('click', handleEmptyTrash);
+    document.getElementById('trash-days')?.addEventListener('change', handleTrashDaysChange);
+
+    elements.modalTrash?.addEventListener('click', (e) => {
+        if (e.target === elements.modalTrash) elements.modalTrash.close();
+    });
+
+    
+    document.getElementById('btn-open-data')?.addEventListener('click', () => {
+        renderSyncSettings();
+        elements.modalData?.showModal();
+    });
+
+    document.getElementById('btn-export-backup')?.addEventListener('click', handleExportBackup);
+    document.getElementById('form-import-backup')?.addEventListener('submit', handleImportBackup);
+
+    
+    document.getElementById('form-sync')?.addEventListener('submit', handleSyncSubmit);
+    document.getElementById('btn-sync-now')?.addEventListener('click', handleSyncNow);
+    document.getElementById('btn-disable-sync')?.addEventListener('click', handleDisableSync);
+    elements.syncStatus?.addEventListener('click', handleSyncNow);
+
+    onExternalChange(handleExternalChange);
+
+    onSyncStatus(handleSyncStatus);
+    setOutboxListener(debounce(handleOutboxChange, 1000));
+
+    window.addEventListener('online', () => {
+        renderSyncStatus();
+        if (state.sync.enabled) requestSync();
+    });
+    window.addEventListener('offline', renderSyncStatus);
+
+    
+    document.getElementById('btn-export-csv')?.addEventListener('click', handleExportCSV);
+    document.getElementById('csv-file')?.addEventListener('change', handleCSVFileSelected);
+    document.getElementById('btn-confirm-csv')?.addEventListener('click', handleConfirmCSVImport);
+
+    document.querySelector('.btn-close-csv')?.addEventListener('click', () => {
+        elements.modalCsv?.close();
+    });
+
+    elements.modalCsv?.addEventListener('click', (e) => {
+        if (e.target === elements.modalCsv) elements.modalCsv.close();
+    });
+
+    
+    document.getElementById('form-stow')?.addEventListener('submit', handleStowSubmit);
+    document.getElementById('btn-stow-discard')?.addEventListener('click', handleStowDiscard);
+    document.getElementById('stow-list')?.addEventListener('change', handleStowRowToggle);
+
+    elements.modalStow?.addEventListener('click', (e) => {
+        if (e.target === elements.modalStow) elements.modalStow.close();
+    });
+
+    
+    document.getElementById('btn-find-duplicates')?.addEventListener('click', openDuplicatesModal);
+    document.getElementById('btn-merge-duplicates')?.addEventListener('click', handleMergeDuplicates);
+    document.getElementById('duplicates-list')?.addEventListener('change', updateMergeButton);
+
+    document.querySelector('.btn-close-duplicates')?.addEventListener('click', () => {
+        elements.modalDuplicates?.close();
+    });
+
+    elements.modalDuplicates?.addEventListener('click', (e) => {
+        if (e.target === elements.modalDuplicates) elements.modalDuplicates.close();
+    });
+
     
-    document.querySelectorAll('.filter-btn').forEach(btn => {
+    document.querySelectorAll('.expiry-filters .filter-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+            document.querySelectorAll('.expiry-filters .filter-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             state.expiryFilter = btn.dataset.filter;
             renderExpiryList();
@@ -188,6 +585,17 @@ function setupEventListeners() {
     });
 
     
+    document.getElementById('stats-period')?.addEventListener('change', renderStats);
+    elements.statsContent?.addEventListener('change', (e) => {
+        if (e.target.id !== 'spending-month') return;
+        state.spendingMonth = e.target.value;
+        renderStats();
+    });
+    document.getElementById('price-history-search')?.addEventListener('input',
+        debounce((e) => renderPriceHistory(e.target.value), 300)
+    );
+
+    
     document.getElementById('btn-clear-bought')?.addEventListener('click', handleClearBought);
 
     
@@ -205,6 +613,8 @@ function setupEventListeners() {
     
     elements.inventoryList?.addEventListener('click', handleInventoryClick);
     elements.shoppingListEl?.addEventListener('click', handleShoppingClick);
+    // 'toggle' no burbujea: se escucha en captura para recordar los grupos plegados
+    elements.shoppingListEl?.addEventListener('toggle', handleShoppingGroupToggle, true);
     elements.expiryList?.addEventListener('click', handleInventoryClick);
 }
 
@@ -226,13 +636,44 @@ function switchTab(tabName) {
         content.hidden = !isActive;
     });
 
+    if (tabName === 'estadisticas') {
+        renderStats();
+    }
+
     vibrate(30);
 }
 
-function renderInventory(products = state.products) {
+/**
+ * @param {Array} products - Productos a mostrar
+ * @param {Object} matchesById - Coincidencias de búsqueda por id de producto (para resaltar)
+ */
+function renderInventory(products = state.products, matchesById = null) {
     if (!elements.inventoryList) return;
 
-    if (products.length === 0) {
+    const visible = filterByLocation(products);
+
+    if (visible.length === 0 && matchesById) {
+        elements.inventoryList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state__icon">🔍</div>
+                <p class="empty-state__text">Sin resultados</p>
+                <p class="empty-state__hint">Prueba con otra palabra</p>
+            </div>
+        `;
+        return;
+    }
+
+    if (visible.length === 0 && products.length > 0) {
+        elements.inventoryList.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state__icon">📍</div>
+                <p class="empty-state__text">No hay productos en esta ubicación</p>
+            </div>
+        `;
+        return;
+    }
+
+    if (visible.length === 0) {
         elements.inventoryList.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state__icon">📦</div>
@@ -243,16 +684,112 @@ function renderInventory(products = state.products) {
         return;
     }
 
-    elements.inventoryList.innerHTML = products.map(product => 
-        createProductCard(product)
+    // Vista general agrupada por ubicación (las búsquedas mantienen el orden por relevancia)
+    if (!matchesById && state.locationFilter === 'all' && state.locations.length > 0) {
+        elements.inventoryList.innerHTML = groupByLocation(visible).map(group => `
+            <div class="inventory-group">
+                <h3 class="inventory-group__title">${group.title}</h3>
+                ${group.products.map(product => createProductCard(product)).join('')}
+            </div>
+        `).join('');
+        return;
+    }
+
+    elements.inventoryList.innerHTML = visible.map(product => 
+        createProductCard(product, false, matchesById?.[product.id])
     ).join('');
 }
 
 
+function getLocation(locationId) {
+    return state.locations.find(location => location.id === locationId) || null;
+}
+
+
+function filterByLocation(products) {
+    if (state.locationFilter === 'all') return products;
+
+    if (state.locationFilter === 'none') {
+        return products.filter(product => !getLocation(product.location));
+    }
+
+    return products.filter(product => product.location === state.locationFilter);
+}
+
+
+function groupByLocation(products) {
+    const groups = state.locations.map(location => ({
+        title: `${sanitizeHTML(location.icon)} ${sanitizeHTML(location.name)}`,
+        products: products.filter(product => product.location === location.id)
+    }));
+
+    groups.push({
+        title: '📦 Sin ubicación',
+        products: products.filter(product => !getLocation(product.location))
+    });
+
+    return groups.filter(group => group.products.length > 0);
+}
+
+
+function renderLocationFilters() {
+    const container = document.getElementById('location-filters');
+    if (!container) return;
+
+    const filters = [
+        { value: 'all', label: 'Todas' },
+        ...state.locations.map(location => ({
+            value: location.id,
+            label: `${sanitizeHTML(location.icon)} ${sanitizeHTML(location.name)}`
+        })),
+        { value: 'none', label: 'Sin ubicación' }
+    ];
+
+    container.innerHTML = filters.map(filter => `
+        <button class="filter-btn ${state.locationFilter === filter.value ? 'active' : ''}" data-location="${filter.value}">
+            ${filter.label}
+        </button>
+    `).join('') + `
+        <button class="filter-btn" data-action="manage-locations" aria-label="Gestionar ubicaciones" title="Gestionar ubicaciones">⚙️</button>
+    `;
+}
+
+
+function renderCategoryOptions() {
+    const select = document.getElementById('product-category');
+    if (!select) return;
+
+    const selected = select.value;
+
+    select.innerHTML = state.categories.map(category => `
+        <option value="${escapeAttribute(category.key)}">${sanitizeHTML(category.icon)} ${sanitizeHTML(category.name)}</option>
+    `).join('');
+
+    if (state.categories.some(category => category.key === selected)) {
+        select.value = selected;
+    }
+}
+
+
+function renderLocationOptions() {
+    const select = document.getElementById('product-location');
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Sin ubicación</option>' + state.locations.map(location => `
+        <option value="${location.id}">${sanitizeHTML(location.icon)} ${sanitizeHTML(location.name)}</option>
+    `).join('');
+}
+
+
 function renderShoppingList() {
     if (!elements.shoppingListEl) return;
 
-    if (state.shoppingList.length === 0) {
+    renderListSwitcher();
+    const listItems = getCurrentListItems();
+
+    renderShoppingTotals(listItems);
+
+    if (listItems.length === 0) {
         elements.shoppingListEl.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state__icon">🛒</div>
@@ -263,10 +800,28 @@ function renderShoppingList() {
         return;
     }
 
-    
-    const sorted = [...state.shoppingList].sort((a, b) => a.bought - b.bought);
+    // Los items antiguos sin categoría se colocan según el inventario
+    const items = listItems.map(item => ({
+        ...item,
+        category: item.category || guessCategory(item.name, state.products)
+    }));
+    const groups = groupShoppingItems(items, state.categories, getCurrentShop()?.aisleOrder);
+
+    elements.shoppingListEl.innerHTML = groups.map(group => `
+        <details class="shopping-group" data-category="${escapeAttribute(group.category.key)}" ${state.collapsedGroups.has(group.category.key) ? '' : 'open'}>
+            <summary class="shopping-group__title">
+                <span>${sanitizeHTML(group.category.icon)}</span>
+                <span>${sanitizeHTML(group.category.name)}</span>
+                <span class="shopping-group__count">${group.pending}/${group.items.length}</span>
+            </summary>
+            ${group.items.map(renderShoppingItem).join('')}
+        </details>
+    `).join('');
+}
+
 
-    elements.shoppingListEl.innerHTML = sorted.map(item => `
+function renderShoppingItem(item) {
+    return `
         <div class="shopping-item ${item.bought ? 'bought' : ''}" data-id="${item.id}">
             <input 
                 type="checkbox" 
@@ -276,19 +831,154 @@ function renderShoppingList() {
             >
             <span class="shopping-item__name">${sanitizeHTML(item.name)}</span>
             ${item.quantity ? `<span class="shopping-item__quantity">${sanitizeHTML(item.quantity)}</span>` : ''}
+            ${getItemTotal(item) !== null ? `<span class="shopping-item__price">${formatPrice(getItemTotal(item))}</span>` : ''}
+            ${state.lists.length > 0 ? `
+                <button class="product-card__btn" data-action="move-list" aria-label="Mover a otra lista">🔀</button>
+            ` : ''}
             <button class="product-card__btn product-card__btn--delete" data-action="delete" aria-label="Eliminar">
                 🗑️
             </button>
         </div>
+    `;
+}
+
+
+/**
+ * Total estimado de la lista y lo que llevamos gastado en lo ya marcado
+ */
+function renderShoppingTotals(items) {
+    const container = document.getElementById('shopping-totals');
+    if (!container) return;
+
+    const totals = getListTotals(items);
+
+    if (totals.estimated === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <span>Estimado: <strong>${formatPrice(totals.estimated)}</strong>${totals.unpriced > 0 ? ` (+${totals.unpriced} sin precio)` : ''}</span>
+        <span>En el carro: <strong>${formatPrice(totals.actual)}</strong></span>
+    `;
+}
+
+
+function handleShoppingGroupToggle(e) {
+    const group = e.target.closest?.('.shopping-group');
+    if (!group) return;
+
+    if (group.open) {
+        state.collapsedGroups.delete(group.dataset.category);
+    } else {
+        state.collapsedGroups.add(group.dataset.category);
+    }
+}
+
+
+/**
+ * Lista a la que pertenece un item: si su lista ya no existe, la principal
+ */
+function getItemListId(item) {
+    return state.lists.some(list => list.id === item.listId) ? item.listId : null;
+}
+
+
+function getCurrentListItems() {
+    return state.shoppingList.filter(item => getItemListId(item) === state.currentListId);
+}
+
+
+function getListName(listId) {
+    return state.lists.find(list => list.id === listId)?.name || MAIN_LIST_NAME;
+}
+
+
+function renderListSwitcher() {
+    const container = document.getElementById('shopping-lists');
+    if (!container) return;
+
+    if (!state.lists.some(list => list.id === state.currentListId)) state.currentListId = null;
+
+    const options = [{ id: null, name: MAIN_LIST_NAME }, ...state.lists];
+
+    container.innerHTML = options.map(list => {
+        const pending = state.shoppingList.filter(item => getItemListId(item) === list.id && !item.bought).length;
+
+        return `
+            <button class="filter-btn ${state.currentListId === list.id ? 'active' : ''}" data-list="${list.id ?? ''}">
+                ${sanitizeHTML(list.name)}${pending > 0 ? ` (${pending})` : ''}
+            </button>
+        `;
+    }).join('') + `
+        <button class="filter-btn" data-action="manage-lists" aria-label="Gestionar listas" title="Gestionar listas">⚙️</button>
+    `;
+}
+
+
+function setCurrentList(listId) {
+    state.currentListId = state.lists.some(list => list.id === listId) ? listId : null;
+
+    if (state.currentListId) {
+        localStorage.setItem(CURRENT_LIST_KEY, state.currentListId);
+    } else {
+        localStorage.removeItem(CURRENT_LIST_KEY);
+    }
+
+    renderShoppingList();
+}
+
+
+function handleListSwitcherClick(e) {
+    const button = e.target.closest('.filter-btn');
+    if (!button) return;
+
+    if (button.dataset.action === 'manage-lists') {
+        openListsModal();
+        return;
+    }
+
+    setCurrentList(button.dataset.list ? parseInt(button.dataset.list) : null);
+}
+
+
+function getCurrentShop() {
+    return state.shops.find(shop => shop.id === state.currentShopId) || null;
+}
+
+
+function renderShopOptions() {
+    const select = document.getElementById('shopping-shop');
+    if (!select) return;
+
+    if (!getCurrentShop()) state.currentShopId = null;
+
+    select.innerHTML = '<option value="">Orden general</option>' + state.shops.map(shop => `
+        <option value="${shop.id}">${sanitizeHTML(shop.name)}</option>
     `).join('');
+    select.value = state.currentShopId ?? '';
+}
+
+
+function handleShopChange(e) {
+    state.currentShopId = parseInt(e.target.value) || null;
+
+    if (state.currentShopId) {
+        localStorage.setItem(CURRENT_SHOP_KEY, state.currentShopId);
+    } else {
+        localStorage.removeItem(CURRENT_SHOP_KEY);
+    }
+
+    renderShoppingList();
 }
 
 
 function renderExpiryList() {
     if (!elements.expiryList) return;
 
-    
-    let products = state.products.filter(p => p.expiryDate);
+    // Una entrada por lote: cada lote tiene su propia fecha
+    let products = getLotEntries(state.products);
+    updateAppBadge(filterByExpiryStatus(products, 'expired').length);
     
     
     products = filterByExpiryStatus(products, state.expiryFilter);
@@ -313,51 +1003,275 @@ function renderExpiryList() {
 }
 
 
-function createProductCard(product, showExpiry = false) {
-    const icon = getCategoryIcon(product.category);
-    const expiryStatus = getExpiryStatus(product.expiryDate);
-    
+/**
+ * Indica si el producto está por debajo de su stock mínimo
+ */
+function isLowStock(product) {
+    return product.minQuantity > 0 && product.quantity < product.minQuantity;
+}
+
+
+function renderLocationBadge(product) {
+    const location = getLocation(product.location);
+
     return `
-        <article class="product-card ${showExpiry ? expiryStatus.class : ''}" data-id="${product.id}" role="listitem">
-            <span class="product-card__icon">${icon}</span>
-            <div class="product-card__info">
-                <h3 class="product-card__name">${sanitizeHTML(product.name)}</h3>
-                <p class="product-card__details">
-                    ${formatQuantity(product.quantity, product.unit)}
-                    ${product.expiryDate ? ` • ${formatDate(product.expiryDate)}` : ''}
-                </p>
-                ${showExpiry && product.expiryDate ? `
-                    <span class="expiry-badge expiry-badge--${expiryStatus.status}">
-                        ${expiryStatus.label}
-                    </span>
-                ` : ''}
-            </div>
-            <div class="product-card__actions">
-                <button class="product-card__btn" data-action="edit" aria-label="Editar producto">
-                    ✏️
-                </button>
-                <button class="product-card__btn product-card__btn--delete" data-action="delete" aria-label="Eliminar producto">
-                    🗑️
-                </button>
-            </div>
-        </article>
+        <button class="location-badge" data-action="move" aria-label="Cambiar ubicación">
+            ${location ? `${sanitizeHTML(location.icon)} ${sanitizeHTML(location.name)}` : '📍 Ubicar'}
+        </button>
     `;
 }
 
 
-async function handleSearch(query) {
-    if (!query.trim()) {
-        renderInventory();
-        return;
-    }
-    
-    const results = await searchProducts(query);
-    renderInventory(results);
-}
+async function renderStats() {
+    if (!elements.statsContent) return;
 
+    const months = parseInt(document.getElementById('stats-period')?.value) || 6;
 
-async function handleInventoryClick(e) {
-    const card = e.target.closest('.product-card');
+    try {
+        const events = await getHistory();
+        const summary = getStatsSummary(events, state.products);
+
+        state.history = events;
+        renderPriceHistoryNames();
+
+        if (events.length === 0) {
+            elements.statsContent.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state__icon">📊</div>
+                    <p class="empty-state__text">Aún no hay datos</p>
+                    <p class="empty-state__hint">Marca productos como consumidos 🍽️ o tirados 🚮, o compra items con precio, para ver tus estadísticas</p>
+                </div>
+            `;
+            return;
+        }
+
+        const wasteByCategory = getWasteByCategory(events);
+        const mostWasted = getMostWasted(events);
+
+        elements.statsContent.innerHTML = `
+            <div class="stats-kpis">
+                ${renderKpi(summary.consumed, 'Consumidos')}
+                ${renderKpi(summary.expired, 'Caducados', true)}
+                ${renderKpi(summary.discarded, 'Tirados en total', true)}
+                ${renderKpi(summary.wasteRate !== null ? `${summary.wasteRate}%` : '-', 'Desperdicio', summary.wasteRate > 20)}
+                ${renderKpi(summary.averageDaysToUse !== null ? summary.averageDaysToUse : '-', 'Días de compra a consumo')}
+                ${renderKpi(summary.expiredInPantry, 'Caducados en la despensa', summary.expiredInPantry > 0)}
+            </div>
+
+            <section class="stats-card">
+                <h3>Consumidos vs caducados por mes</h3>
+                ${groupedBarChart(getMonthlyTotals(events, months), [
+                    { key: 'consumed', label: 'Consumidos' },
+                    { key: 'expired', label: 'Caducados' },
+                    { key: 'discarded', label: 'Tirados por otro motivo' }
+                ], { title: 'Consumidos, caducados y tirados por mes' })}
+            </section>
+
+            <section class="stats-card">
+                <h3>Desperdicio por categoría</h3>
+                ${wasteByCategory.length
+                    ? horizontalBarChart(
+                        wasteByCategory.map(item => ({ label: `${getCategoryIcon(item.category)} ${item.label}`, value: item.value })),
+                        { serie: 'discarded', title: 'Desperdicio por categoría' }
+                    )
+                    : '<p class="stats-card__empty">No has tirado nada. ¡Bien hecho!</p>'}
+            </section>
+
+            <section class="stats-card">
+                <h3>Lo que más se tira</h3>
+                ${mostWasted.length ? `
+                    <ol class="stats-ranking">
+                        ${mostWasted.map(item => `
+                            <li>
+                                <span class="stats-ranking__name">${sanitizeHTML(item.name)}</span>
+                                <span class="stats-ranking__value">${item.times} ${item.times === 1 ? 'vez' : 'veces'} • ${formatQuantity(item.quantity, item.unit)}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                ` : '<p class="stats-card__empty">Sin productos desperdiciados</p>'}
+            </section>
+
+            ${renderSpending(events, months)}
+        `;
+    } catch (error) {
+        console.error('Error al calcular estadísticas:', error);
+        showToast('Error al cargar estadísticas');
+    }
+}
+
+
+/**
+ * Gasto mensual y desglose por categoría y tienda del mes elegido
+ */
+function renderSpending(events, months) {
+    const monthly = getMonthlySpending(events, months);
+
+    if (!monthly.some(month => month.spent > 0)) {
+        return `
+            <section class="stats-card">
+                <h3>Gasto</h3>
+                <p class="stats-card__empty">Pon precio a los items de la compra para ver cuánto gastas</p>
+            </section>
+        `;
+    }
+
+    if (!monthly.some(month => month.key === state.spendingMonth)) {
+        state.spendingMonth = monthly[monthly.length - 1].key;
+    }
+
+    const byCategory = getSpendingBreakdown(events, state.spendingMonth, 'category');
+    const byStore = getSpendingBreakdown(events, state.spendingMonth, 'store');
+    const breakdown = (items, withIcon) => items.length
+        ? horizontalBarChart(
+            items.map(item => ({ label: withIcon ? `${getCategoryIcon(item.key)} ${item.label}` : item.label, value: item.value })),
+            { serie: 'spent', title: 'Gasto' }
+        )
+        : '<p class="stats-card__empty">Sin compras este mes</p>';
+
+    return `
+        <section class="stats-card">
+            <h3>Gasto por mes</h3>
+            ${groupedBarChart(monthly, [{ key: 'spent', label: 'Gasto (€)' }], { title: 'Gasto por mes' })}
+        </section>
+
+        <section class="stats-card">
+            <h3>
+                Gasto de
+                <select id="spending-month" class="stats-period" aria-label="Mes">
+                    ${[...monthly].reverse().map(month => `
+                        <option value="${month.key}" ${month.key === state.spendingMonth ? 'selected' : ''}>${month.label} (${formatPrice(month.spent)})</option>
+                    `).join('')}
+                </select>
+            </h3>
+            <h4>Por categoría</h4>
+            ${breakdown(byCategory, true)}
+            <h4>Por tienda</h4>
+            ${breakdown(byStore, false)}
+        </section>
+    `;
+}
+
+
+function renderPriceHistoryNames() {
+    const datalist = document.getElementById('price-history-names');
+    if (!datalist) return;
+
+    datalist.innerHTML = getPurchasedNames(state.history)
+        .map(name => `<option value="${escapeAttribute(name)}"></option>`)
+        .join('');
+}
+
+
+/**
+ * Precios pagados por un producto y cuánto ha cambiado cada vez
+ */
+function renderPriceHistory(name) {
+    const container = document.getElementById('price-history-results');
+    if (!container) return;
+
+    if (!name.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const prices = getPriceHistory(state.history, name);
+
+    if (prices.length === 0) {
+        container.innerHTML = '<p class="stats-card__empty">No hay compras con precio de ese producto</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <ol class="stats-ranking">
+            ${[...prices].reverse().map(entry => `
+                <li>
+                    <span class="stats-ranking__name">${formatDate(entry.timestamp)}${entry.store ? ` • ${sanitizeHTML(entry.store)}` : ''}</span>
+                    <span class="stats-ranking__value">
+                        ${formatPrice(entry.price)}/${getUnitLabel(entry.unit)}
+                        ${entry.change ? `<span class="price-change--${entry.change > 0 ? 'up' : 'down'}">${entry.change > 0 ? '▲' : '▼'} ${Math.abs(entry.change)}%</span>` : ''}
+                    </span>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+
+function renderKpi(value, label, danger = false) {
+    return `
+        <div class="stats-kpi">
+            <span class="stats-kpi__value ${danger ? 'stats-kpi__value--danger' : ''}">${value}</span>
+            <span class="stats-kpi__label">${label}</span>
+        </div>
+    `;
+}
+
+
+function createProductCard(product, showExpiry = false, matches = null) {
+    const icon = getCategoryIcon(product.category);
+    const expiryStatus = getExpiryStatus(product.expiryDate);
+    const lotCount = product.lots?.length || 0;
+    const lowStock = isLowStock(product);
+    
+    return `
+        <article class="product-card ${showExpiry ? expiryStatus.class : ''}" data-id="${product.id}" ${product.lot ? `data-lot-id="${escapeAttribute(product.lot.id)}"` : ''} role="listitem">
+            <span class="product-card__icon">${sanitizeHTML(icon)}</span>
+            <div class="product-card__info">
+                <h3 class="product-card__name">
+                    ${highlightText(product.name, matches?.name)}
+                    ${lowStock ? '<span class="low-stock-badge" title="Por debajo del stock mínimo">bajo stock</span>' : ''}
+                </h3>
+                <p class="product-card__details">
+                    ${formatQuantity(product.quantity, product.unit, product.packageSize)}
+                    ${!product.lot && lotCount > 1 ? ` • ${lotCount} lotes` : ''}
+                    ${product.expiryDate ? ` • ${formatDate(product.expiryDate)}` : ''}
+                    ${renderLocationBadge(product)}
+                </p>
+                ${matches?.category ? `
+                    <p class="product-card__match">${highlightText(getCategoryName(product.category), matches.category)}</p>
+                ` : ''}
+                ${matches?.notes ? `
+                    <p class="product-card__match">${highlightText(product.notes, matches.notes)}</p>
+                ` : ''}
+                ${showExpiry && product.expiryDate ? `
+                    <span class="expiry-badge expiry-badge--${expiryStatus.status}">
+                        ${expiryStatus.label}
+                    </span>
+                ` : ''}
+            </div>
+            <div class="product-card__actions">
+                <button class="product-card__btn" data-action="consume" aria-label="Marcar como consumido" title="Consumido">
+                    🍽️
+                </button>
+                <button class="product-card__btn" data-action="discard" aria-label="Marcar como tirado" title="Tirado">
+                    🚮
+                </button>
+                <button class="product-card__btn" data-action="edit" aria-label="Editar producto">
+                    ✏️
+                </button>
+                <button class="product-card__btn product-card__btn--delete" data-action="delete" aria-label="Eliminar producto">
+                    🗑️
+                </button>
+            </div>
+        </article>
+    `;
+}
+
+
+async function handleSearch(query) {
+    if (!query.trim()) {
+        renderInventory();
+        return;
+    }
+    
+    const results = await searchProducts(query);
+    const matchesById = Object.fromEntries(results.map(result => [result.product.id, result.matches]));
+    renderInventory(results.map(result => result.product), matchesById);
+}
+
+
+async function handleInventoryClick(e) {
+    const card = e.target.closest('.product-card');
     if (!card) return;
     
     const id = parseInt(card.dataset.id);
@@ -365,8 +1279,12 @@ async function handleInventoryClick(e) {
 
     if (action === 'edit') {
         openProductModal(id);
+    } else if (action === 'move') {
+        openMoveModal(id);
+    } else if (action === 'consume' || action === 'discard') {
+        openRemoveModal(id, action, card.dataset.lotId);
     } else if (action === 'delete') {
-        await handleDeleteProduct(id);
+        await handleDeleteProduct(id, card.dataset.lotId);
     }
 }
 
@@ -383,29 +1301,54 @@ async function handleShoppingClick(e) {
         state.shoppingList = await getShoppingList();
         renderShoppingList();
         vibrate(30);
+
+        // Al marcar como comprado se propone guardarlo en la despensa
+        if (e.target.checked) {
+            openStowModal(state.shoppingList.filter(listItem => listItem.id === id));
+        }
+        return;
+    }
+
+    
+    if (e.target.closest('.shopping-item__name, .shopping-item__quantity')) {
+        openShoppingModal(id);
+        return;
+    }
+
+    
+    if (e.target.closest('[data-action="move-list"]')) {
+        openMoveListModal(id);
         return;
     }
 
     
     if (e.target.closest('[data-action="delete"]')) {
-        await deleteShoppingItem(id);
+        const trashId = await deleteShoppingItem(id);
         state.shoppingList = await getShoppingList();
         renderShoppingList();
-        showToast('Item eliminado');
+        showUndoToast('Item eliminado', () => restoreFromTrash(trashId));
         vibrate(50);
     }
 }
 
 
-async function handleDeleteProduct(id) {
-    if (!confirm('¿Eliminar este producto?')) return;
+async function handleDeleteProduct(id, lotId = null) {
+    const product = state.products.find(p => p.id === id);
+    const onlyLot = lotId && product?.lots.length > 1;
 
     try {
-        await deleteProduct(id);
+        if (onlyLot) {
+            const { previous } = await removeProductLot(id, lotId);
+            showUndoToast('Lote eliminado', () => updateProduct(previous, { force: true }));
+        } else {
+            const trashId = await deleteProduct(id);
+            showUndoToast('Producto enviado a la papelera', () => restoreFromTrash(trashId));
+        }
         state.products = await getAllProducts();
+        state.shoppingList = await getShoppingList();
         renderInventory();
         renderExpiryList();
-        showToast('Producto eliminado');
+        renderShoppingList();
         vibrate(50);
     } catch (error) {
         console.error('Error al eliminar:', error);
@@ -414,47 +1357,1374 @@ async function handleDeleteProduct(id) {
 }
 
 
-async function handleProductSubmit(e) {
+function handleLocationFilterClick(e) {
+    const button = e.target.closest('.filter-btn');
+    if (!button) return;
+
+    if (button.dataset.action === 'manage-locations') {
+        openLocationsModal();
+        return;
+    }
+
+    const value = button.dataset.location;
+    state.locationFilter = ['all', 'none'].includes(value) ? value : parseInt(value);
+
+    renderLocationFilters();
+    handleSearch(elements.searchInput?.value || '');
+}
+
+
+function openMoveModal(productId) {
+    const product = state.products.find(p => p.id === productId);
+    if (!product) return;
+
+    state.movingProductId = productId;
+    document.getElementById('move-product-name').textContent = product.name;
+
+    const options = [
+        ...state.locations.map(location => ({
+            id: location.id,
+            label: `${sanitizeHTML(location.icon)} ${sanitizeHTML(location.name)}`
+        })),
+        { id: null, label: '📦 Sin ubicación' }
+    ];
+
+    document.getElementById('move-options').innerHTML = options.map(option => `
+        <button type="button" class="btn-secondary ${(product.location ?? null) === option.id ? 'active' : ''}" data-location="${option.id ?? ''}">
+            ${option.label}
+        </button>
+    `).join('');
+
+    elements.modalMove?.showModal();
+}
+
+
+async function handleMoveOptionClick(e) {
+    const button = e.target.closest('[data-location]');
+    if (!button || !state.movingProductId) return;
+
+    const locationId = button.dataset.location ? parseInt(button.dataset.location) : null;
+
+    try {
+        await moveProduct(state.movingProductId, locationId);
+        state.products = await getAllProducts();
+        renderInventory();
+        renderExpiryList();
+        elements.modalMove?.close();
+        state.movingProductId = null;
+
+        const location = getLocation(locationId);
+        showToast(location ? `Movido a ${location.name}` : 'Producto sin ubicación');
+        vibrate(30);
+    } catch (error) {
+        console.error('Error al mover:', error);
+        showToast('Error al mover');
+    }
+}
+
+
+function openLocationsModal() {
+    renderLocationsManager();
+    elements.modalLocations?.showModal();
+}
+
+
+function renderLocationsManager() {
+    const list = document.getElementById('locations-list');
+    if (!list) return;
+
+    list.innerHTML = state.locations.map(location => `
+        <div class="manage-row" data-location-id="${location.id}">
+            <input type="text" class="manage-row__icon" name="icon" value="${escapeAttribute(location.icon)}" maxlength="4" aria-label="Icono">
+            <input type="text" class="manage-row__name" name="name" value="${escapeAttribute(location.name)}" aria-label="Nombre">
+            <button type="button" class="product-card__btn product-card__btn--delete" data-action="delete-location" aria-label="Eliminar ubicación">
+                🗑️
+            </button>
+        </div>
+    `).join('');
+}
+
+
+async function refreshLocations() {
+    state.locations = await getLocations();
+    state.products = await getAllProducts();
+    renderLocationOptions();
+    renderLocationFilters();
+    renderLocationsManager();
+    renderInventory();
+    renderExpiryList();
+}
+
+
+async function handleLocationSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const name = formData.get('name').trim();
+    if (!name) return;
+
+    try {
+        await addLocation({ name, icon: formData.get('icon').trim() });
+        e.target.reset();
+        await refreshLocations();
+        showToast('Ubicación creada');
+    } catch (error) {
+        console.error('Error al crear ubicación:', error);
+        showToast('Error al crear ubicación');
+    }
+}
+
+
+async function handleLocationEdit(e) {
+    const row = e.target.closest('.manage-row');
+    if (!row) return;
+
+    const location = getLocation(parseInt(row.dataset.locationId));
+    const name = row.querySelector('[name="name"]').value.trim();
+    const icon = row.querySelector('[name="icon"]').value.trim();
+
+    if (!location || !name) {
+        renderLocationsManager();
+        return;
+    }
+
+    try {
+        await updateLocation({ ...location, name, icon: icon || location.icon });
+        await refreshLocations();
+    } catch (error) {
+        console.error('Error al renombrar ubicación:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+async function handleLocationDelete(e) {
+    if (!e.target.closest('[data-action="delete-location"]')) return;
+
+    const row = e.target.closest('.manage-row');
+    const location = getLocation(parseInt(row.dataset.locationId));
+    if (!location) return;
+
+    const count = state.products.filter(product => product.location === location.id).length;
+    const message = count > 0
+        ? `¿Eliminar "${location.name}"? ${count} producto(s) quedarán sin ubicación.`
+        : `¿Eliminar "${location.name}"?`;
+
+    if (!confirm(message)) return;
+
+    try {
+        await deleteLocation(location.id);
+        if (state.locationFilter === location.id) state.locationFilter = 'all';
+        await refreshLocations();
+        showToast('Ubicación eliminada');
+    } catch (error) {
+        console.error('Error al eliminar ubicación:', error);
+        showToast('Error al eliminar');
+    }
+}
+
+
+function openMoveListModal(itemId) {
+    const item = state.shoppingList.find(listItem => listItem.id === itemId);
+    if (!item) return;
+
+    state.movingShoppingId = itemId;
+    document.getElementById('move-list-item-name').textContent = item.name;
+
+    const options = [{ id: null, name: MAIN_LIST_NAME }, ...state.lists];
+
+    document.getElementById('move-list-options').innerHTML = options.map(list => `
+        <button type="button" class="btn-secondary ${getItemListId(item) === list.id ? 'active' : ''}" data-list="${list.id ?? ''}">
+            ${sanitizeHTML(list.name)}
+        </button>
+    `).join('');
+
+    elements.modalMoveList?.showModal();
+}
+
+
+async function handleMoveListOptionClick(e) {
+    const button = e.target.closest('[data-list]');
+    if (!button || !state.movingShoppingId) return;
+
+    const listId = button.dataset.list ? parseInt(button.dataset.list) : null;
+
+    try {
+        await moveShoppingItem(state.movingShoppingId, listId);
+        state.shoppingList = await getShoppingList();
+        renderShoppingList();
+        elements.modalMoveList?.close();
+        state.movingShoppingId = null;
+        showToast(`Movido a ${getListName(listId)}`);
+        vibrate(30);
+    } catch (error) {
+        console.error('Error al mover:', error);
+        showToast('Error al mover');
+    }
+}
+
+
+function openListsModal() {
+    renderListsManager();
+    elements.modalLists?.showModal();
+}
+
+
+function renderListsManager() {
+    const container = document.getElementById('lists-list');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="manage-row">
+            <span class="manage-row__label">${MAIN_LIST_NAME}</span>
+        </div>
+    ` + state.lists.map(list => `
+        <div class="manage-row" data-list-id="${list.id}">
+            <input type="text" class="manage-row__name" name="name" value="${escapeAttribute(list.name)}" aria-label="Nombre">
+            <button type="button" class="product-card__btn product-card__btn--delete" data-action="delete-list" aria-label="Eliminar lista">
+                🗑️
+            </button>
+        </div>
+    `).join('');
+}
+
+
+async function refreshLists() {
+    state.lists = await getShoppingLists();
+    state.shoppingList = await getShoppingList();
+    renderListsManager();
+    renderShoppingList();
+}
+
+
+async function handleListSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const name = formData.get('name').trim();
+    if (!name) return;
+
+    try {
+        const id = await addShoppingList({ name });
+        e.target.reset();
+        await refreshLists();
+        setCurrentList(id);
+        showToast('Lista creada');
+    } catch (error) {
+        console.error('Error al crear lista:', error);
+        showToast('Error al crear lista');
+    }
+}
+
+
+async function handleListEdit(e) {
+    const row = e.target.closest('.manage-row');
+    if (!row) return;
+
+    const list = state.lists.find(item => item.id === parseInt(row.dataset.listId));
+    const name = e.target.value.trim();
+
+    if (!list || !name) {
+        renderListsManager();
+        return;
+    }
+
+    try {
+        await updateShoppingList({ ...list, name });
+        await refreshLists();
+    } catch (error) {
+        console.error('Error al renombrar lista:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+async function handleListDelete(e) {
+    if (!e.target.closest('[data-action="delete-list"]')) return;
+
+    const list = state.lists.find(item => item.id === parseInt(e.target.closest('.manage-row').dataset.listId));
+    if (!list) return;
+
+    const count = state.shoppingList.filter(item => item.listId === list.id).length;
+    const message = count > 0
+        ? `¿Eliminar "${list.name}"? Sus ${count} item(s) pasarán a "${MAIN_LIST_NAME}".`
+        : `¿Eliminar "${list.name}"?`;
+
+    if (!confirm(message)) return;
+
+    try {
+        await deleteShoppingList(list.id);
+        await refreshLists();
+        showToast('Lista eliminada');
+    } catch (error) {
+        console.error('Error al eliminar lista:', error);
+        showToast('Error al eliminar');
+    }
+}
+
+
+/**
+ * Comparte los items pendientes como texto: Web Share si está disponible, si no al portapapeles
+ */
+async function handleShareList() {
+    const items = getCurrentListItems().filter(item => !item.bought);
+
+    if (items.length === 0) {
+        showToast('No hay nada pendiente que compartir');
+        return;
+    }
+
+    const title = getListName(state.currentListId);
+    const text = formatListAsText(items, title);
+
+    try {
+        if (navigator.share) {
+            await navigator.share({ title, text });
+            return;
+        }
+
+        await navigator.clipboard.writeText(text);
+        showToast('Lista copiada al portapapeles');
+    } catch (error) {
+        // Cerrar el diálogo de compartir no es un error
+        if (error.name === 'AbortError') return;
+
+        console.error('Error al compartir:', error);
+        showToast('No se pudo compartir la lista');
+    }
+}
+
+
+function openPasteModal() {
+    document.getElementById('form-paste')?.reset();
+    updatePastePreview();
+    elements.modalPaste?.showModal();
+}
+
+
+function updatePastePreview() {
+    const preview = document.getElementById('paste-preview');
+    const items = parseListText(document.getElementById('paste-text').value);
+
+    preview.textContent = items.length > 0
+        ? `${items.length} item(s): ${items.map(item => item.name).join(', ')}`
+        : '';
+}
+
+
+/**
+ * Añade cada línea con addShoppingItem; lo que ya está pendiente (o se repite en el texto) se salta
+ */
+async function handlePasteSubmit(e) {
+    e.preventDefault();
+
+    const items = parseListText(new FormData(e.target).get('text'));
+    if (items.length === 0) {
+        showToast('No se ha reconocido ningún item');
+        return;
+    }
+
+    const knownIds = new Set(state.shoppingList.map(item => item.id));
+    let added = 0;
+
+    try {
+        for (const item of items) {
+            const id = await addShoppingItem({ ...item, listId: state.currentListId }, { skipPending: true });
+            if (knownIds.has(id)) continue;
+
+            knownIds.add(id);
+            added++;
+        }
+
+        state.shoppingList = await getShoppingList();
+        renderShoppingList();
+        elements.modalPaste?.close();
+
+        const skipped = items.length - added;
+        showToast(skipped > 0
+            ? `${added} item(s) añadido(s), ${skipped} repetido(s)`
+            : `${added} item(s) añadido(s)`);
+        vibrate(50);
+    } catch (error) {
+        console.error('Error al importar la lista:', error);
+        showToast('Error al añadir los items');
+    }
+}
+
+
+/**
+ * Pantalla de confirmación de lo compartido desde otra app: un item por línea, editable
+ */
+async function openSharedContent(params) {
+    // Limpiar la URL para que recargar no vuelva a abrir la pantalla
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const payload = await readSharedPayload(params);
+    if (!payload) {
+        showToast('No se ha recibido nada que añadir');
+        return;
+    }
+
+    switchTab('compras');
+
+    const source = [payload.title, payload.url].filter(Boolean).join(' • ');
+    document.getElementById('share-source').textContent = source ? `Desde: ${source}` : '';
+
+    document.getElementById('share-list').innerHTML = [{ id: null, name: MAIN_LIST_NAME }, ...state.lists]
+        .map(list => `
+            <option value="${list.id ?? ''}" ${state.currentListId === list.id ? 'selected' : ''}>${sanitizeHTML(list.name)}</option>
+        `).join('');
+
+    const candidates = getSharedCandidates(payload);
+    document.getElementById('share-items').innerHTML = (candidates.length > 0 ? candidates : [{ name: '', quantity: '' }])
+        .map(renderShareRow)
+        .join('');
+
+    elements.modalShare?.showModal();
+}
+
+
+function renderShareRow(item) {
+    return `
+        <div class="share-row">
+            <input type="checkbox" name="include" checked aria-label="Añadir este item">
+            <input type="text" name="name" value="${escapeAttribute(item.name)}" placeholder="Producto" aria-label="Producto">
+            <input type="text" name="quantity" value="${escapeAttribute(item.quantity)}" placeholder="Cantidad" aria-label="Cantidad">
+            <button type="button" class="product-card__btn" data-action="remove-share-row" aria-label="Quitar">✕</button>
+        </div>
+    `;
+}
+
+
+async function handleShareSubmit(e) {
+    e.preventDefault();
+
+    const listValue = document.getElementById('share-list').value;
+    const listId = listValue ? parseInt(listValue) : null;
+    const items = [...document.querySelectorAll('#share-items .share-row')]
+        .filter(row => row.querySelector('[name="include"]').checked)
+        .map(row => ({
+            name: row.querySelector('[name="name"]').value.trim(),
+            quantity: row.querySelector('[name="quantity"]').value.trim()
+        }))
+        .filter(item => item.name);
+
+    if (items.length === 0) {
+        showToast('No hay items seleccionados');
+        return;
+    }
+
+    const knownIds = new Set(state.shoppingList.map(item => item.id));
+    let added = 0;
+
+    try {
+        for (const item of items) {
+            const id = await addShoppingItem({ ...item, listId }, { skipPending: true });
+            if (knownIds.has(id)) continue;
+
+            knownIds.add(id);
+            added++;
+        }
+
+        state.shoppingList = await getShoppingList();
+        setCurrentList(listId);
+        elements.modalShare?.close();
+
+        const skipped = items.length - added;
+        showToast(skipped > 0
+            ? `${added} item(s) añadido(s), ${skipped} ya estaba(n) en la lista`
+            : `${added} item(s) añadido(s)`);
+        vibrate(50);
+    } catch (error) {
+        console.error('Error al guardar lo compartido:', error);
+        showToast('Error al añadir los items');
+    }
+}
+
+
+async function openTemplatesModal() {
+    state.templates = await getTemplates();
+    renderTemplatesManager();
+    elements.modalTemplates?.showModal();
+}
+
+
+function renderTemplatesManager() {
+    const container = document.getElementById('templates-list');
+    if (!container) return;
+
+    container.innerHTML = state.templates.length === 0
+        ? '<p class="empty-state__hint">Aún no hay plantillas. Prepara la lista y guárdala con un nombre.</p>'
+        : state.templates.map(template => `
+            <div class="manage-row" data-template-id="${template.id}">
+                <span class="manage-row__label">
+                    ${sanitizeHTML(template.name)}
+                    <span class="manage-row__hint">${template.items.map(item => sanitizeHTML(item.name)).join(', ')}</span>
+                </span>
+                <button type="button" class="btn-secondary" data-action="apply-template">Añadir</button>
+                <button type="button" class="product-card__btn product-card__btn--delete" data-action="delete-template" aria-label="Eliminar plantilla">
+                    🗑️
+                </button>
+            </div>
+        `).join('');
+}
+
+
+async function handleTemplateSubmit(e) {
+    e.preventDefault();
+
+    const name = new FormData(e.target).get('name').trim();
+    const items = getCurrentListItems().filter(item => !item.bought);
+    if (!name) return;
+
+    if (items.length === 0) {
+        showToast('La lista está vacía: añade items antes de guardarla');
+        return;
+    }
+
+    const exists = state.templates.some(template => normalizeText(template.name) === normalizeText(name));
+    if (exists && !confirm(`Ya hay una plantilla "${name}". ¿Reemplazarla por la lista actual?`)) return;
+
+    try {
+        await saveTemplate(name, items);
+        e.target.reset();
+        state.templates = await getTemplates();
+        renderTemplatesManager();
+        showToast(`Plantilla guardada con ${items.length} item(s)`);
+    } catch (error) {
+        console.error('Error al guardar plantilla:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+async function handleTemplateAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const template = state.templates.find(item => item.id === parseInt(button.closest('.manage-row').dataset.templateId));
+    if (!template) return;
+
+    try {
+        if (button.dataset.action === 'apply-template') {
+            const { added, skipped } = await applyTemplate(template.id, state.currentListId);
+            state.shoppingList = await getShoppingList();
+            renderShoppingList();
+            elements.modalTemplates?.close();
+            showToast(skipped > 0
+                ? `${added} item(s) añadido(s), ${skipped} ya estaba(n) en la lista`
+                : `${added} item(s) añadido(s)`);
+            vibrate(50);
+            return;
+        }
+
+        if (button.dataset.action !== 'delete-template' || !confirm(`¿Eliminar la plantilla "${template.name}"?`)) return;
+
+        await deleteTemplate(template.id);
+        state.templates = await getTemplates();
+        renderTemplatesManager();
+        showToast('Plantilla eliminada');
+    } catch (error) {
+        console.error('Error con la plantilla:', error);
+        showToast('Error al aplicar la plantilla');
+    }
+}
+
+
+async function openRecurringModal() {
+    state.recurring = await getRecurringItems();
+    renderRecurringManager();
+    document.getElementById('recurring-start').value = getTodayISO();
+    elements.modalRecurring?.showModal();
+}
+
+
+function renderRecurringManager() {
+    const container = document.getElementById('recurring-list');
+    if (!container) return;
+
+    container.innerHTML = state.recurring.length === 0
+        ? '<p class="empty-state__hint">Los items recurrentes vuelven solos a la lista cuando toca (pan cada 2 días, detergente cada mes...)</p>'
+        : state.recurring.map(entry => `
+            <div class="manage-row" data-recurring-id="${entry.id}">
+                <span class="manage-row__label">
+                    ${sanitizeHTML(entry.name)}${entry.quantity ? ` (${sanitizeHTML(entry.quantity)})` : ''}
+                    <span class="manage-row__hint">
+                        ${formatRecurrence(entry.every, entry.period)} • ${sanitizeHTML(getListName(entry.listId))} • próxima: ${formatDate(entry.nextDue)}
+                    </span>
+                </span>
+                <button type="button" class="product-card__btn product-card__btn--delete" data-action="delete-recurring" aria-label="Eliminar recurrente">
+                    🗑️
+                </button>
+            </div>
+        `).join('');
+}
+
+
+async function handleRecurringSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const name = formData.get('name').trim();
+    if (!name) return;
+
+    try {
+        await addRecurringItem({
+            name,
+            quantity: formData.get('quantity').trim(),
+            every: parseInt(formData.get('every')) || 1,
+            period: formData.get('period'),
+            listId: state.currentListId,
+            startDate: formData.get('startDate') || getTodayISO()
+        });
+
+        e.target.reset();
+        document.getElementById('recurring-start').value = getTodayISO();
+        await checkRecurringItems();
+        state.recurring = await getRecurringItems();
+        renderRecurringManager();
+        showToast('Item recurrente creado');
+    } catch (error) {
+        console.error('Error al crear recurrente:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+async function handleRecurringDelete(e) {
+    if (!e.target.closest('[data-action="delete-recurring"]')) return;
+
+    const entry = state.recurring.find(item => item.id === parseInt(e.target.closest('.manage-row').dataset.recurringId));
+    if (!entry || !confirm(`¿Dejar de añadir "${entry.name}" automáticamente?`)) return;
+
+    try {
+        await deleteRecurringItem(entry.id);
+        state.recurring = await getRecurringItems();
+        renderRecurringManager();
+    } catch (error) {
+        console.error('Error al eliminar recurrente:', error);
+        showToast('Error al eliminar');
+    }
+}
+
+
+/**
+ * Añade a la lista los recurrentes que tocan y avisa de los nuevos
+ */
+async function checkRecurringItems() {
+    try {
+        const result = await addDueRecurringItems();
+        if (result.added.length === 0) return;
+
+        state.shoppingList = await getShoppingList();
+        renderShoppingList();
+        notifyRecurringAdded(result);
+    } catch (error) {
+        console.error('Error con los items recurrentes:', error);
+    }
+}
+
+
+function notifyRecurringAdded(result) {
+    if (result?.added.length > 0) {
+        showToast(`🔁 Añadido a la compra: ${result.added.join(', ')}`);
+    }
+}
+
+
+function openCategoriesModal() {
+    renderCategoriesManager();
+    elements.modalCategories?.showModal();
+}
+
+
+function renderCategoriesManager() {
+    const list = document.getElementById('categories-list');
+    if (!list) return;
+
+    list.innerHTML = state.categories.map((category, index) => `
+        <div class="manage-row" data-category-key="${escapeAttribute(category.key)}">
+            <input type="text" class="manage-row__icon" name="icon" value="${escapeAttribute(category.icon)}" maxlength="4" aria-label="Icono">
+            <input type="text" class="manage-row__name" name="name" value="${escapeAttribute(category.name)}" aria-label="Nombre">
+            <button type="button" class="product-card__btn" data-action="up" aria-label="Subir" ${index === 0 ? 'disabled' : ''}>⬆️</button>
+            <button type="button" class="product-card__btn" data-action="down" aria-label="Bajar" ${index === state.categories.length - 1 ? 'disabled' : ''}>⬇️</button>
+            <button type="button" class="product-card__btn product-card__btn--delete" data-action="delete-category" aria-label="Eliminar categoría" ${category.key === FALLBACK_CATEGORY ? 'disabled title="Categoría de reserva"' : ''}>
+                🗑️
+            </button>
+        </div>
+    `).join('');
+}
+
+
+async function refreshCategories() {
+    state.categories = await getCategories();
+    state.products = await getAllProducts();
+    setCategories(state.categories);
+    renderCategoryOptions();
+    renderCategoriesManager();
+    renderInventory();
+    renderShoppingList();
+    renderExpiryList();
+}
+
+
+async function handleCategorySubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const name = formData.get('name').trim();
+    if (!name) return;
+
+    try {
+        const key = await addCategory({ name, icon: formData.get('icon').trim() });
+        e.target.reset();
+        await refreshCategories();
+        document.getElementById('product-category').value = key;
+        showToast('Categoría creada');
+    } catch (error) {
+        console.error('Error al crear categoría:', error);
+        showToast(error.message || 'Error al crear categoría');
+    }
+}
+
+
+async function handleCategoryEdit(e) {
+    const row = e.target.closest('.manage-row');
+    if (!row) return;
+
+    const category = state.categories.find(item => item.key === row.dataset.categoryKey);
+    const name = row.querySelector('[name="name"]').value.trim();
+    const icon = row.querySelector('[name="icon"]').value.trim();
+
+    if (!category || !name) {
+        renderCategoriesManager();
+        return;
+    }
+
+    try {
+        await updateCategory({ ...category, name, icon: icon || category.icon });
+        await refreshCategories();
+    } catch (error) {
+        console.error('Error al renombrar categoría:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+async function handleCategoryAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const key = button.closest('.manage-row').dataset.categoryKey;
+    const index = state.categories.findIndex(category => category.key === key);
+    const category = state.categories[index];
+    if (!category) return;
+
+    try {
+        if (button.dataset.action === 'up' || button.dataset.action === 'down') {
+            const keys = state.categories.map(item => item.key);
+            const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+            [keys[index], keys[target]] = [keys[target], keys[index]];
+
+            await reorderCategories(keys);
+            await refreshCategories();
+            return;
+        }
+
+        if (button.dataset.action !== 'delete-category') return;
+
+        const count = state.products.filter(product => product.category === key).length;
+        const fallback = getCategoryName(FALLBACK_CATEGORY);
+        const message = count > 0
+            ? `¿Eliminar "${category.name}"? ${count} producto(s) pasarán a "${fallback}".`
+            : `¿Eliminar "${category.name}"?`;
+
+        if (!confirm(message)) return;
+
+        await deleteCategory(key);
+        await refreshCategories();
+        showToast('Categoría eliminada');
+    } catch (error) {
+        console.error('Error al modificar categorías:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+function openShopsModal() {
+    state.editingAislesShopId = state.currentShopId;
+    renderShopsManager();
+    elements.modalShops?.showModal();
+}
+
+
+function renderShopsManager() {
+    const list = document.getElementById('shops-list');
+    if (!list) return;
+
+    list.innerHTML = state.shops.length === 0
+        ? '<p class="empty-state__hint">Añade las tiendas donde compras para ordenar la lista por sus pasillos</p>'
+        : state.shops.map(shop => `
+            <div class="manage-row" data-shop-id="${shop.id}">
+                <input type="text" class="manage-row__name" name="name" value="${escapeAttribute(shop.name)}" aria-label="Nombre">
+                <button type="button" class="product-card__btn" data-action="aisles" aria-label="Ordenar pasillos" aria-pressed="${shop.id === state.editingAislesShopId}">🛤️</button>
+                <button type="button" class="product-card__btn product-card__btn--delete" data-action="delete-shop" aria-label="Eliminar tienda">
+                    🗑️
+                </button>
+            </div>
+        `).join('');
+
+    renderAislesEditor();
+}
+
+
+/**
+ * Orden de pasillos de la tienda seleccionada: las categorías que no tiene
+ * ordenadas todavía aparecen al final en el orden general
+ */
+function renderAislesEditor() {
+    const section = document.getElementById('shop-aisles');
+    const list = document.getElementById('aisles-list');
+    const shop = state.shops.find(item => item.id === state.editingAislesShopId);
+    if (!section || !list) return;
+
+    section.hidden = !shop;
+    if (!shop) return;
+
+    const order = getAisleKeys(shop);
+    document.getElementById('shop-aisles-title').textContent = `Orden de pasillos: ${shop.name}`;
+
+    list.innerHTML = order.map((key, index) => `
+        <div class="manage-row" data-category-key="${escapeAttribute(key)}">
+            <span class="manage-row__label">${sanitizeHTML(getCategoryIcon(key))} ${sanitizeHTML(getCategoryName(key))}</span>
+            <button type="button" class="product-card__btn" data-action="up" aria-label="Subir" ${index === 0 ? 'disabled' : ''}>⬆️</button>
+            <button type="button" class="product-card__btn" data-action="down" aria-label="Bajar" ${index === order.length - 1 ? 'disabled' : ''}>⬇️</button>
+        </div>
+    `).join('');
+}
+
+
+function getAisleKeys(shop) {
+    const keys = state.categories.map(category => category.key);
+
+    return [
+        ...shop.aisleOrder.filter(key => keys.includes(key)),
+        ...keys.filter(key => !shop.aisleOrder.includes(key))
+    ];
+}
+
+
+async function refreshShops() {
+    state.shops = await getShops();
+    renderShopOptions();
+    renderShopsManager();
+    renderShoppingList();
+}
+
+
+async function handleShopSubmit(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const name = formData.get('name').trim();
+    if (!name) return;
+
+    try {
+        state.editingAislesShopId = await addShop({ name });
+        e.target.reset();
+        await refreshShops();
+        showToast('Tienda creada');
+    } catch (error) {
+        console.error('Error al crear tienda:', error);
+        showToast('Error al crear tienda');
+    }
+}
+
+
+async function handleShopEdit(e) {
+    const row = e.target.closest('.manage-row');
+    if (!row) return;
+
+    const shop = state.shops.find(item => item.id === parseInt(row.dataset.shopId));
+    const name = e.target.value.trim();
+
+    if (!shop || !name) {
+        renderShopsManager();
+        return;
+    }
+
+    try {
+        await updateShop({ ...shop, name });
+        await refreshShops();
+    } catch (error) {
+        console.error('Error al renombrar tienda:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+async function handleShopAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const shop = state.shops.find(item => item.id === parseInt(button.closest('.manage-row').dataset.shopId));
+    if (!shop) return;
+
+    if (button.dataset.action === 'aisles') {
+        state.editingAislesShopId = shop.id;
+        renderShopsManager();
+        return;
+    }
+
+    if (button.dataset.action !== 'delete-shop' || !confirm(`¿Eliminar "${shop.name}"?`)) return;
+
+    try {
+        await deleteShop(shop.id);
+        if (state.editingAislesShopId === shop.id) state.editingAislesShopId = null;
+        await refreshShops();
+        showToast('Tienda eliminada');
+    } catch (error) {
+        console.error('Error al eliminar tienda:', error);
+        showToast('Error al eliminar');
+    }
+}
+
+
+async function handleAisleAction(e) {
+    const button = e.target.closest('button[data-action]');
+    const shop = state.shops.find(item => item.id === state.editingAislesShopId);
+    if (!button || !shop) return;
+
+    const keys = getAisleKeys(shop);
+    const index = keys.indexOf(button.closest('.manage-row').dataset.categoryKey);
+    const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+    if (index === -1 || target < 0 || target >= keys.length) return;
+
+    [keys[index], keys[target]] = [keys[target], keys[index]];
+
+    try {
+        await updateShop({ ...shop, aisleOrder: keys });
+        await refreshShops();
+    } catch (error) {
+        console.error('Error al ordenar pasillos:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+/**
+ * Al cambiar la unidad del modal de salida se convierten la cantidad escrita y el máximo
+ */
+function handleRemoveUnitChange(e) {
+    if (!state.removal) return;
+
+    const product = state.products.find(p => p.id === state.removal.productId);
+    const input = document.getElementById('remove-quantity');
+    const unit = e.target.value;
+    const current = parseAmount(input.value) || 0;
+
+    input.max = convertQuantity(state.removal.available, product.unit, unit, product.packageSize);
+    input.value = convertQuantity(current, state.removal.unit, unit, product.packageSize);
+    state.removal.unit = unit;
+}
+
+
+/**
+ * Valores propuestos para guardar un item comprado: cantidad y unidad escritas en
+ * la lista y, si ya existe en la despensa, su categoría, ubicación y duración habitual
+ */
+function getStowDefaults(item) {
+    const name = normalizeText(item.name);
+    const match = state.products.find(product => product.id === item.productId)
+        || state.products.find(product => normalizeText(product.name) === name);
+    const parsed = item.amount
+        ? { quantity: item.amount, unit: item.unit }
+        : parseQuantityText(item.quantity);
+    const unit = parsed?.unit || match?.unit || 'unidad';
+    const shelfLife = estimateShelfLifeDays(match);
+
+    return {
+        quantity: parsed?.quantity || 1,
+        unit,
+        category: match?.category || item.category || FALLBACK_CATEGORY,
+        location: match?.location ?? null,
+        expiryDate: shelfLife ? getTodayISO(shelfLife) : '',
+        mergeWith: match && areUnitsCompatible(match.unit, unit, match.packageSize) ? match : null
+    };
+}
+
+
+function openStowModal(items) {
+    if (items.length === 0) return;
+
+    state.stowItems = items;
+
+    document.getElementById('btn-stow-discard').hidden = items.length === 1;
+    document.getElementById('stow-list').innerHTML = items.map(item => {
+        const defaults = getStowDefaults(item);
+
+        return `
+            <fieldset class="stow-row" data-item-id="${item.id}" data-location="${defaults.location ?? ''}">
+                <legend class="stow-row__header">
+                    <input type="checkbox" name="include" checked aria-label="Guardar ${sanitizeHTML(item.name)}">
+                    ${sanitizeHTML(item.name)}
+                </legend>
+                <div class="stow-row__fields">
+                    <input type="number" name="quantity" min="0" step="any" value="${defaults.quantity}" aria-label="Cantidad">
+                    <select name="unit" aria-label="Unidad">
+                        ${Object.keys(UNITS).map(unit => `
+                            <option value="${unit}" ${unit === defaults.unit ? 'selected' : ''}>${getUnitLabel(unit, 2)}</option>
+                        `).join('')}
+                    </select>
+                    <select name="category" aria-label="Categoría">
+                        ${state.categories.map(category => `
+                            <option value="${escapeAttribute(category.key)}" ${category.key === defaults.category ? 'selected' : ''}>
+                                ${sanitizeHTML(category.icon)} ${sanitizeHTML(category.name)}
+                            </option>
+                        `).join('')}
+                    </select>
+                    <input type="date" name="expiryDate" value="${escapeAttribute(defaults.expiryDate)}" aria-label="Caducidad">
+                    ${defaults.mergeWith ? `
+                        <label class="stow-row__merge">
+                            <input type="checkbox" name="merge" value="${defaults.mergeWith.id}" checked>
+                            Sumar a "${sanitizeHTML(defaults.mergeWith.name)}" (${formatQuantity(defaults.mergeWith.quantity, defaults.mergeWith.unit, defaults.mergeWith.packageSize)})
+                        </label>
+                    ` : ''}
+                </div>
+            </fieldset>
+        `;
+    }).join('');
+
+    elements.modalStow?.showModal();
+}
+
+
+function handleStowRowToggle(e) {
+    if (e.target.name !== 'include') return;
+    e.target.closest('.stow-row').classList.toggle('stow-row--skipped', !e.target.checked);
+}
+
+
+async function handleStowSubmit(e) {
+    e.preventDefault();
+
+    const entries = [...document.querySelectorAll('#stow-list .stow-row')]
+        .filter(row => row.querySelector('[name="include"]').checked)
+        .map(row => {
+            const item = state.stowItems.find(stowItem => stowItem.id === parseInt(row.dataset.itemId));
+            const read = (name) => row.querySelector(`[name="${name}"]`);
+
+            return {
+                item,
+                details: {
+                    quantity: parseAmount(read('quantity').value) || 1,
+                    unit: read('unit').value,
+                    category: read('category').value,
+                    expiryDate: read('expiryDate').value || null,
+                    location: row.dataset.location ? parseInt(row.dataset.location) : null
+                },
+                mergeWith: read('merge')?.checked ? parseInt(read('merge').value) : null
+            };
+        })
+        .filter(entry => entry.item);
+
+    if (entries.length === 0) {
+        showToast('Selecciona algún producto');
+        return;
+    }
+
+    try {
+        await moveItemsToInventory(entries);
+        state.stowItems = [];
+        state.products = await getAllProducts();
+        state.shoppingList = await getShoppingList();
+        renderInventory();
+        renderExpiryList();
+        renderShoppingList();
+        elements.modalStow?.close();
+        showToast(`${entries.length} producto(s) guardado(s) en la despensa`);
+        vibrate([50, 30, 50]);
+    } catch (error) {
+        console.error('Error al guardar en despensa:', error);
+        showToast('Error al guardar. No se ha modificado nada');
+    }
+}
+
+
+async function handleStowDiscard() {
+    elements.modalStow?.close();
+    state.stowItems = [];
+    await removeBoughtItems();
+}
+
+
+/**
+ * Toast con botón "Deshacer"
+ * @param {string} message - Mensaje
+ * @param {Function} undo - Acción que revierte el cambio
+ */
+function showUndoToast(message, undo) {
+    showToast(message, UNDO_DURATION, {
+        label: 'Deshacer',
+        onClick: async () => {
+            try {
+                await undo();
+                await loadData();
+                showToast('Cambio deshecho');
+            } catch (error) {
+                console.error('Error al deshacer:', error);
+                showToast('No se pudo deshacer');
+            }
+        }
+    });
+}
+
+
+function getTrashDays() {
+    return parseInt(localStorage.getItem(TRASH_DAYS_KEY)) || DEFAULT_TRASH_DAYS;
+}
+
+
+async function openTrashModal() {
+    document.getElementById('trash-days').value = getTrashDays();
+    await renderTrash();
+    elements.modalTrash?.showModal();
+}
+
+
+async function renderTrash() {
+    const list = document.getElementById('trash-list');
+    if (!list) return;
+
+    const entries = await getTrash();
+    document.getElementById('btn-empty-trash').disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state__icon">🗑️</div>
+                <p class="empty-state__text">La papelera está vacía</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = entries.map(entry => `
+        <div class="trash-item" data-trash-id="${entry.id}" role="listitem">
+            <span>${entry.store === 'products' ? sanitizeHTML(getCategoryIcon(entry.record.category)) : '🛒'}</span>
+            <div class="trash-item__info">
+                <span class="trash-item__name">${sanitizeHTML(entry.record.name)}</span>
+                <span class="trash-item__date">Eliminado el ${formatDate(entry.deletedAt)}</span>
+            </div>
+            <button class="product-card__btn" data-action="restore" aria-label="Restaurar" title="Restaurar">
+                ↩️
+            </button>
+            <button class="product-card__btn product-card__btn--delete" data-action="purge" aria-label="Eliminar definitivamente" title="Eliminar definitivamente">
+                ✕
+            </button>
+        </div>
+    `).join('');
+}
+
+
+async function handleTrashClick(e) {
+    const entry = e.target.closest('.trash-item');
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (!entry || !action) return;
+
+    const trashId = parseInt(entry.dataset.trashId);
+
+    try {
+        if (action === 'restore') {
+            await restoreFromTrash(trashId);
+            await loadData();
+            showToast('Restaurado');
+        } else if (action === 'purge') {
+            await purgeFromTrash(trashId);
+            showToast('Eliminado definitivamente');
+        }
+        await renderTrash();
+    } catch (error) {
+        console.error('Error en la papelera:', error);
+        showToast('Error en la papelera');
+    }
+}
+
+
+async function handleEmptyTrash() {
+    if (!confirm('¿Vaciar la papelera? No se podrá deshacer.')) return;
+
+    try {
+        await emptyTrash();
+        await renderTrash();
+        showToast('Papelera vaciada');
+    } catch (error) {
+        console.error('Error al vaciar la papelera:', error);
+        showToast('Error al vaciar la papelera');
+    }
+}
+
+
+async function handleTrashDaysChange(e) {
+    const days = parseInt(e.target.value);
+
+    if (!days || days < 1) {
+        e.target.value = getTrashDays();
+        return;
+    }
+
+    localStorage.setItem(TRASH_DAYS_KEY, days);
+    await purgeExpiredTrash(days);
+    await renderTrash();
+}
+
+
+async function handleProductSubmit(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    
+    const productData = {
+        name: formData.get('name').trim(),
+        unit: formData.get('unit'),
+        category: formData.get('category'),
+        lots: readLotRows(),
+        minQuantity: parseAmount(formData.get('minQuantity')) || null,
+        packageSize: readPackageSize(formData),
+        price: parseAmount(formData.get('price')) > 0 ? parseAmount(formData.get('price')) : null,
+        store: formData.get('store')?.trim() || '',
+        notes: formData.get('notes')?.trim() || ''
+    };
+
+    
+    if (!productData.name) {
+        showToast('Ingresa el nombre del producto');
+        return;
+    }
+
+    const locationId = formData.get('location') ? parseInt(formData.get('location')) : null;
+
+    if (productData.lots.length === 0) {
+        showToast('Añade al menos un lote con cantidad');
+        return;
+    }
+
+    try {
+        if (state.editingProductId) {
+            
+            const existing = state.editingProductBase;
+            if (!await saveEditedProduct({ ...existing, ...productData })) return;
+
+            // Los cambios de ubicación se registran como movimiento
+            if ((existing.location ?? null) !== locationId) {
+                await moveProduct(existing.id, locationId);
+            }
+            showToast('Producto actualizado');
+        } else {
+            const duplicate = await findDuplicateProduct(productData);
+            const merge = duplicate && confirm(
+                `Ya tienes "${duplicate.name}" (${formatQuantity(duplicate.quantity, duplicate.unit, duplicate.packageSize)}). ` +
+                '¿Sumar la cantidad a ese producto? Se conservan las fechas de caducidad de cada lote.'
+            );
+
+            if (merge) {
+                const merged = await mergeIntoProduct(duplicate.id, productData);
+                showToast(`${merged.name}: ${formatQuantity(merged.quantity, merged.unit, merged.packageSize)} en total`);
+            } else {
+                await addProduct({ ...productData, location: locationId });
+                showToast('Producto agregado');
+            }
+        }
+
+        
+        state.products = await getAllProducts();
+        state.shoppingList = await getShoppingList();
+        renderInventory();
+        renderExpiryList();
+        renderShoppingList();
+        closeModals();
+        vibrate([50, 30, 50]);
+        
+    } catch (error) {
+        console.error('Error al guardar:', error);
+        showToast('Error al guardar');
+    }
+}
+
+
+/**
+ * Guarda la edición de un producto. Si otra ventana lo cambió mientras se editaba,
+ * pregunta si sobrescribirlo; si no, vuelve a abrir el formulario con la versión actual.
+ * @returns {Promise<boolean>} false si no se guardó
+ */
+async function saveEditedProduct(product) {
+    try {
+        await updateProduct(product);
+        return true;
+    } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+    }
+
+    state.products = await getAllProducts();
+    const current = state.products.find(p => p.id === product.id);
+
+    if (!current) {
+        closeModals();
+        renderInventory();
+        showToast('El producto se eliminó en otra ventana', 5000);
+        return false;
+    }
+
+    if (confirm(`"${current.name}" se modificó en otra ventana mientras lo editabas. ¿Guardar tus cambios encima?`)) {
+        await updateProduct(product, { force: true });
+        return true;
+    }
+
+    renderInventory();
+    openProductModal(product.id);
+    showToast('Se cargó la versión más reciente del producto', 4000);
+    return false;
+}
+
+
+async function handleRemoveSubmit(e) {
     e.preventDefault();
-    
+    if (!state.removal) return;
+
     const formData = new FormData(e.target);
-    
-    const productData = {
-        name: formData.get('name').trim(),
-        quantity: parseInt(formData.get('quantity')) || 1,
-        unit: formData.get('unit'),
-        category: formData.get('category'),
-        expiryDate: formData.get('expiryDate') || null,
-        notes: formData.get('notes')?.trim() || ''
-    };
+    const { productId, type, lotId } = state.removal;
+    const product = state.products.find(p => p.id === productId);
+    const amount = parseAmount(formData.get('quantity')) || 0;
+    const quantity = convertQuantity(amount, formData.get('unit') || product.unit, product.unit, product.packageSize) || 0;
 
-    
-    if (!productData.name) {
-        showToast('Ingresa el nombre del producto');
+    if (quantity <= 0) {
+        showToast('Indica una cantidad');
         return;
     }
 
     try {
-        if (state.editingProductId) {
-            
-            productData.id = state.editingProductId;
-            await updateProduct(productData);
-            showToast('Producto actualizado');
-        } else {
-            
-            await addProduct(productData);
-            showToast('Producto agregado');
-        }
+        const remove = type === 'discard' ? discardProduct : consumeProduct;
+        const { removed, event, restockedItemId } = await remove(productId, quantity, {
+            reason: type === 'discard' ? formData.get('reason') : null,
+            lotId: lotId || null
+        });
 
-        
         state.products = await getAllProducts();
+        state.shoppingList = await getShoppingList();
         renderInventory();
         renderExpiryList();
-        closeModals();
-        vibrate([50, 30, 50]);
-        
+        renderShoppingList();
+        elements.modalRemove?.close();
+        state.removal = null;
+
+        const verb = type === 'discard' ? 'Tirado' : 'Consumido';
+        const message = removed
+            ? `${verb}: ${product.name} (agotado)`
+            : `${verb}: ${formatQuantity(event.quantity, product.unit, product.packageSize)} de ${product.name}`;
+        showToast(restockedItemId ? `${message}. Apuntado en la compra` : message);
+        vibrate(50);
     } catch (error) {
-        console.error('Error al guardar:', error);
+        console.error('Error al registrar salida:', error);
         showToast('Error al guardar');
     }
 }
@@ -467,7 +2737,10 @@ async function handleShoppingSubmit(e) {
     
     const itemData = {
         name: formData.get('name').trim(),
-        quantity: formData.get('quantity')?.trim() || ''
+        quantity: formData.get('quantity')?.trim() || '',
+        category: formData.get('category') || null,
+        price: parseAmount(formData.get('price')) > 0 ? parseAmount(formData.get('price')) : null,
+        store: formData.get('store')?.trim() || ''
     };
 
     if (!itemData.name) {
@@ -475,13 +2748,35 @@ async function handleShoppingSubmit(e) {
         return;
     }
 
+    // Si el usuario corrige la cantidad interpretada, el texto pasa a reflejarla
+    if (document.getElementById('shopping-amount').dataset.edited === 'true') {
+        const amount = parseAmount(formData.get('amount'));
+        const parsed = parseShoppingQuantity(itemData.quantity);
+
+        itemData.amount = amount > 0 ? amount : null;
+        itemData.unit = amount > 0 ? formData.get('unit') || 'unidad' : null;
+
+        if (itemData.amount && (parsed.amount !== itemData.amount || parsed.unit !== itemData.unit)) {
+            itemData.quantity = formatQuantity(itemData.amount, itemData.unit);
+        }
+    }
+
     try {
-        await addShoppingItem(itemData);
+        if (state.editingShoppingId) {
+            const existing = state.shoppingList.find(item => item.id === state.editingShoppingId);
+            await updateShoppingItem({ ...existing, ...normalizeShoppingItem(itemData) });
+            showToast('Item actualizado');
+        } else {
+            const id = await addShoppingItem({ ...itemData, listId: state.currentListId });
+            const merged = state.shoppingList.some(item => item.id === id);
+            showToast(merged ? 'Cantidad sumada al item de la lista' : 'Agregado a la lista');
+        }
+
         state.shoppingList = await getShoppingList();
         renderShoppingList();
         elements.modalShopping?.close();
+        state.editingShoppingId = null;
         e.target.reset();
-        showToast('Agregado a la lista');
         vibrate(50);
     } catch (error) {
         console.error('Error al agregar:', error);
@@ -490,21 +2785,43 @@ async function handleShoppingSubmit(e) {
 }
 
 
+/**
+ * Muestra cómo se interpreta la cantidad mientras se escribe (salvo que el usuario la haya corregido)
+ */
+function updateParsedQuantity() {
+    const amountInput = document.getElementById('shopping-amount');
+    if (amountInput.dataset.edited === 'true') return;
+
+    const text = document.getElementById('shopping-quantity').value.trim()
+        || splitNameAndQuantity(document.getElementById('shopping-name').value).quantity;
+    const { amount, unit } = parseShoppingQuantity(text);
+
+    amountInput.value = amount ?? '';
+    document.getElementById('shopping-unit').value = unit || '';
+}
+
+
 async function handleClearBought() {
-    const boughtCount = state.shoppingList.filter(item => item.bought).length;
+    const bought = getCurrentListItems().filter(item => item.bought);
     
-    if (boughtCount === 0) {
+    if (bought.length === 0) {
         showToast('No hay items comprados');
         return;
     }
 
-    if (!confirm(`¿Eliminar ${boughtCount} item(s) comprado(s)?`)) return;
+    openStowModal(bought);
+}
+
 
+/**
+ * Quita de la lista los items comprados sin guardarlos en la despensa (con deshacer)
+ */
+async function removeBoughtItems() {
     try {
-        await clearBoughtItems();
+        const trashIds = await clearBoughtItems(state.currentListId);
         state.shoppingList = await getShoppingList();
         renderShoppingList();
-        showToast('Lista limpiada');
+        showUndoToast(`${trashIds.length} item(s) eliminado(s)`, () => restoreFromTrash(trashIds));
     } catch (error) {
         console.error('Error al limpiar:', error);
         showToast('Error al limpiar');
@@ -512,6 +2829,408 @@ async function handleClearBought() {
 }
 
 
+async function handleExportBackup() {
+    try {
+        const backup = await exportDatabase();
+        downloadFile(
+            JSON.stringify(backup, null, 2),
+            `despensa-${getTodayISO()}.json`
+        );
+        showToast('Copia descargada');
+    } catch (error) {
+        console.error('Error al exportar:', error);
+        showToast('Error al exportar');
+    }
+}
+
+
+async function handleImportBackup(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const file = formData.get('file');
+    const mode = formData.get('mode');
+
+    if (!file || !file.size) {
+        showToast('Selecciona un archivo de copia');
+        return;
+    }
+
+    if (mode === 'replace' && !confirm('¿Reemplazar todos los datos actuales por la copia?')) return;
+
+    try {
+        const data = JSON.parse(await readFileAsText(file));
+        const summary = await importDatabase(data, { mode });
+
+        await loadData();
+        elements.modalData?.close();
+        e.target.reset();
+
+        const added = Object.values(summary).reduce((total, s) => total + s.added + s.updated, 0);
+        showToast(`Copia restaurada: ${added} registro(s)`);
+    } catch (error) {
+        console.error('Error al importar:', error);
+        showToast(error instanceof SyntaxError
+            ? 'El archivo no es un JSON válido'
+            : `Error al importar: ${error.message}`, 5000);
+    }
+}
+
+
+function handleExternalChange(stores) {
+    stores.forEach(store => externalChanges.add(store));
+    refreshExternalChanges();
+}
+
+
+/**
+ * Relee lo que han cambiado otras ventanas y vuelve a pintar las vistas afectadas.
+ * Se agrupan los avisos: una acción puede completar varias transacciones seguidas.
+ */
+const refreshExternalChanges = debounce(async () => {
+    const stores = new Set(externalChanges);
+    externalChanges.clear();
+
+    // Lo consumido desde una notificación puede tener que apuntarse en la compra
+    if (stores.has(STORES.SETTINGS) && await applyPendingRestocks().catch(() => 0) > 0) {
+        stores.add(STORES.SHOPPING);
+    }
+
+    const changed = (...names) => names.some(name => stores.has(name));
+    const dataChanged = changed(STORES.PRODUCTS, STORES.SHOPPING, STORES.LOCATIONS, STORES.CATEGORIES, STORES.LISTS, STORES.SHOPS);
+
+    try {
+        if (dataChanged) await loadData();
+
+        if (changed(STORES.OUTBOX, STORES.SETTINGS)) await refreshSyncStatus();
+        if (changed(STORES.HISTORY, STORES.PRODUCTS, STORES.SHOPPING) && state.currentTab === 'estadisticas') renderStats();
+        if (changed(STORES.TRASH) && elements.modalTrash?.open) await renderTrash();
+
+        if (changed(STORES.TEMPLATES) && elements.modalTemplates?.open) {
+            state.templates = await getTemplates();
+            renderTemplatesManager();
+        }
+
+        if (changed(STORES.RECURRING) && elements.modalRecurring?.open) {
+            state.recurring = await getRecurringItems();
+            renderRecurringManager();
+        }
+
+        const base = state.editingProductBase;
+
+        if (base && changed(STORES.PRODUCTS)) {
+            const current = state.products.find(p => p.id === base.id);
+
+            if (current?.updatedAt !== base.updatedAt) {
+                showToast(current
+                    ? 'Este producto ha cambiado en otra ventana: al guardar podrás elegir qué versión conservar'
+                    : 'Este producto se ha eliminado en otra ventana', 5000);
+            }
+        }
+    } catch (error) {
+        console.error('Error al actualizar con los cambios de otra ventana:', error);
+    }
+}, 300);
+
+
+/**
+ * Muestra el estado de la sincronización y trae los cambios de otros dispositivos al abrir
+ */
+async function startSync() {
+    await refreshSyncStatus();
+    if (state.sync.enabled) requestSync();
+}
+
+
+/**
+ * Relee ajustes y cambios pendientes
+ * @param {Object} update - Estado recibido del Service Worker ({ status, error })
+ */
+async function refreshSyncStatus(update = {}) {
+    try {
+        const settings = await getSyncSettings();
+
+        state.sync = {
+            ...state.sync,
+            status: 'status' in update ? update.status : state.sync.status,
+            enabled: Boolean(settings),
+            endpoint: settings?.endpoint || '',
+            pending: settings ? await getOutboxCount() : 0,
+            lastSyncAt: settings?.lastSyncAt || null,
+            lastError: 'error' in update ? update.error : settings?.lastError || null
+        };
+    } catch (error) {
+        console.error('Error al leer la sincronización:', error);
+    }
+
+    renderSyncStatus();
+}
+
+
+function renderSyncStatus() {
+    const button = elements.syncStatus;
+    if (!button) return;
+
+    const description = describeSyncStatus({ ...state.sync, online: navigator.onLine });
+    button.hidden = !description;
+    if (!description) return;
+
+    button.className = `sync-status sync-status--${description.state}`;
+    button.textContent = `${description.icon} ${description.label}`;
+    button.title = description.title;
+}
+
+
+async function handleSyncStatus(message) {
+    await refreshSyncStatus(message);
+
+    // Llegaron cambios de otro dispositivo: se vuelve a leer todo
+    if (message.pulled > 0) {
+        await loadData();
+        if (state.currentTab === 'estadisticas') renderStats();
+        showToast(`${message.pulled} cambio(s) recibido(s)`);
+    }
+}
+
+
+function handleOutboxChange() {
+    refreshSyncStatus();
+    requestSync();
+}
+
+
+function renderSyncSettings() {
+    const form = document.getElementById('form-sync');
+    if (!form) return;
+
+    const { enabled, endpoint, pending, lastSyncAt, lastError } = state.sync;
+
+    form.elements.endpoint.value = endpoint;
+    document.getElementById('btn-sync-now').hidden = !enabled;
+    document.getElementById('btn-disable-sync').hidden = !enabled;
+
+    document.getElementById('sync-info').textContent = enabled
+        ? [
+            lastSyncAt ? `Última sincronización: ${new Date(lastSyncAt).toLocaleString('es-ES')}` : 'Todavía no se ha sincronizado',
+            `${pending} cambio(s) pendiente(s)`,
+            lastError
+        ].filter(Boolean).join(' · ')
+        : 'Sin activar: los datos solo se guardan en este dispositivo.';
+}
+
+
+async function handleSyncSubmit(e) {
+    e.preventDefault();
+
+    try {
+        await enableSync(new FormData(e.target).get('endpoint'));
+        await refreshSyncStatus({ status: null, error: null });
+        renderSyncSettings();
+        requestSync();
+        showToast('Sincronización activada');
+    } catch (error) {
+        console.error('Error al activar la sincronización:', error);
+        showToast(error.message, 5000);
+    }
+}
+
+
+async function handleSyncNow() {
+    if (!navigator.onLine) {
+        showToast('Sin conexión: se sincronizará al volver');
+        return;
+    }
+
+    if (await requestSync()) {
+        showToast('Sincronizando...');
+    } else {
+        showToast('La sincronización necesita el Service Worker activo');
+    }
+}
+
+
+async function handleDisableSync() {
+    if (!confirm('¿Desactivar la sincronización? Los cambios sin subir se descartarán.')) return;
+
+    try {
+        await disableSync();
+        await refreshSyncStatus({ status: null, error: null });
+        renderSyncSettings();
+        showToast('Sincronización desactivada');
+    } catch (error) {
+        console.error('Error al desactivar la sincronización:', error);
+        showToast('Error al desactivar la sincronización');
+    }
+}
+
+
+function handleExportCSV() {
+    if (state.products.length === 0) {
+        showToast('No hay productos para exportar');
+        return;
+    }
+
+    downloadFile(
+        productsToCSV(state.products),
+        `inventario-${getTodayISO()}.csv`,
+        'text/csv;charset=utf-8'
+    );
+    showToast('Inventario exportado');
+}
+
+
+async function handleCSVFileSelected(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const { rows, errors } = parseProductsCSV(await readFileAsText(file));
+
+        if (errors.length > 0) {
+            showToast(errors[0], 5000);
+            return;
+        }
+
+        if (rows.length === 0) {
+            showToast('El archivo no tiene productos');
+            return;
+        }
+
+        state.csvImportRows = rows;
+        renderCSVPreview();
+        elements.modalCsv?.showModal();
+    } catch (error) {
+        console.error('Error al leer CSV:', error);
+        showToast('No se pudo leer el archivo');
+    }
+}
+
+
+function renderCSVPreview() {
+    const rows = state.csvImportRows;
+    const validCount = rows.filter(row => row.errors.length === 0).length;
+    const invalidCount = rows.length - validCount;
+
+    document.getElementById('csv-summary').textContent = invalidCount > 0
+        ? `${validCount} fila(s) válidas. ${invalidCount} fila(s) con errores no se importarán.`
+        : `${validCount} fila(s) listas para importar.`;
+
+    document.getElementById('btn-confirm-csv').disabled = validCount === 0;
+    document.getElementById('btn-confirm-csv').textContent = `Importar ${validCount}`;
+
+    document.getElementById('csv-preview').innerHTML = rows.map(({ line, product, errors }) => `
+        <tr class="${errors.length ? 'preview-table__row--error' : ''}">
+            <td>${line}</td>
+            <td>${sanitizeHTML(product.name)}</td>
+            <td>${product.unit && Number.isFinite(product.quantity) ? formatQuantity(product.quantity, product.unit) : ''}</td>
+            <td>${product.category ? `${sanitizeHTML(getCategoryIcon(product.category))} ${sanitizeHTML(getCategoryName(product.category))}` : ''}</td>
+            <td>${product.expiryDate ? formatDate(product.expiryDate) : ''}</td>
+            <td>
+                ${errors.length
+                    ? `<span class="preview-table__errors">${errors.map(sanitizeHTML).join('<br>')}</span>`
+                    : '<span class="preview-table__ok">✓</span>'}
+            </td>
+        </tr>
+    `).join('');
+}
+
+
+function openDuplicatesModal() {
+    state.duplicateGroups = findDuplicateGroups(state.products);
+
+    document.getElementById('duplicates-summary').textContent = state.duplicateGroups.length > 0
+        ? `${state.duplicateGroups.length} producto(s) aparecen repetidos. Al fusionar se suman las cantidades y se conserva la caducidad de cada lote.`
+        : 'No hay productos repetidos.';
+
+    document.getElementById('duplicates-list').innerHTML = state.duplicateGroups.map(({ target, duplicates }, index) => {
+        const all = [target, ...duplicates];
+        const total = all.reduce((sum, product) =>
+            sum + (convertQuantity(product.quantity, product.unit, target.unit, target.packageSize || product.packageSize) || 0), 0);
+
+        return `
+            <label class="duplicate-group" role="listitem">
+                <input type="checkbox" name="duplicate-group" value="${index}" checked>
+                <span class="duplicate-group__info">
+                    <strong>${sanitizeHTML(getCategoryIcon(target.category))} ${sanitizeHTML(target.name)}</strong>
+                    → ${formatQuantity(total, target.unit, target.packageSize)}
+                    <span class="duplicate-group__items">
+                        ${all.map(product =>
+                            formatQuantity(product.quantity, product.unit, product.packageSize) +
+                            (product.expiryDate ? ` (${formatDate(product.expiryDate)})` : '')
+                        ).join(' + ')}
+                    </span>
+                </span>
+            </label>
+        `;
+    }).join('');
+
+    updateMergeButton();
+    elements.modalDuplicates?.showModal();
+}
+
+
+function updateMergeButton() {
+    const selected = document.querySelectorAll('#duplicates-list input:checked').length;
+    const button = document.getElementById('btn-merge-duplicates');
+
+    button.disabled = selected === 0;
+    button.textContent = `Fusionar ${selected}`;
+}
+
+
+async function handleMergeDuplicates() {
+    const groups = [...document.querySelectorAll('#duplicates-list input:checked')]
+        .map(input => state.duplicateGroups[parseInt(input.value)])
+        .filter(Boolean)
+        .map(({ target, duplicates }) => ({
+            targetId: target.id,
+            sourceIds: duplicates.map(product => product.id)
+        }));
+
+    if (groups.length === 0) return;
+
+    try {
+        const merge = await mergeDuplicateProducts(groups);
+        state.duplicateGroups = [];
+        state.products = await getAllProducts();
+        renderInventory();
+        renderExpiryList();
+        closeModals();
+        showUndoToast(`${groups.length} producto(s) fusionado(s)`, () => undoMergeDuplicates(merge));
+        vibrate(50);
+    } catch (error) {
+        console.error('Error al fusionar:', error);
+        showToast('Error al fusionar');
+    }
+}
+
+
+async function handleConfirmCSVImport() {
+    const validRows = state.csvImportRows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) return;
+
+    let imported = 0;
+
+    try {
+        for (const row of validRows) {
+            await addProduct(row.product);
+            imported++;
+        }
+        showToast(`${imported} producto(s) importado(s)`);
+    } catch (error) {
+        console.error('Error al importar CSV:', error);
+        showToast(`Error al importar (${imported} de ${validRows.length} guardados)`);
+    }
+
+    state.csvImportRows = [];
+    state.products = await getAllProducts();
+    renderInventory();
+    renderExpiryList();
+    closeModals();
+}
+
+
 async function handleEnableNotifications() {
     const permission = await requestNotificationPermission();
     
@@ -548,6 +3267,7 @@ async function handleInstall() {
 
 async function openProductModal(productId = null) {
     state.editingProductId = productId;
+    state.editingProductBase = null;
     
     const modalTitle = document.getElementById('modal-title');
     
@@ -556,27 +3276,201 @@ async function openProductModal(productId = null) {
         const product = state.products.find(p => p.id === productId);
         if (!product) return;
         
+        // Versión que se edita: al guardar se comprueba que nadie la haya cambiado
+        state.editingProductBase = product;
         modalTitle.textContent = 'Editar Producto';
         
         
         document.getElementById('product-name').value = product.name;
-        document.getElementById('product-quantity').value = product.quantity;
         document.getElementById('product-unit').value = product.unit;
         document.getElementById('product-category').value = product.category;
-        document.getElementById('product-expiry').value = product.expiryDate || '';
+        document.getElementById('product-location').value = product.location ?? '';
+        document.getElementById('product-min').value = product.minQuantity ?? '';
+        document.getElementById('product-package-quantity').value = product.packageSize?.quantity ?? '';
+        document.getElementById('product-package-unit').value = product.packageSize?.unit || 'g';
+        document.getElementById('product-price').value = product.price ?? '';
+        document.getElementById('product-store').value = product.store || '';
         document.getElementById('product-notes').value = product.notes || '';
+        renderLotRows(product.lots);
     } else {
         
         modalTitle.textContent = 'Agregar Producto';
         elements.formProduct?.reset();
+        renderLotRows([]);
+
+        // Al agregar desde una ubicación filtrada se propone esa ubicación
+        if (typeof state.locationFilter === 'number') {
+            document.getElementById('product-location').value = state.locationFilter;
+        }
     }
     
+    updatePackageSizeVisibility();
+    renderStoreOptions();
     elements.modalProduct?.showModal();
 }
 
 
-function openShoppingModal() {
+/**
+ * Sugerencias de tienda: las tiendas configuradas y las ya usadas en productos e items
+ */
+function renderStoreOptions() {
+    const datalist = document.getElementById('store-names');
+    if (!datalist) return;
+
+    const names = new Map();
+    [...state.shops.map(shop => shop.name), ...state.products.map(p => p.store), ...state.shoppingList.map(item => item.store)]
+        .filter(Boolean)
+        .forEach(name => names.set(normalizeText(name), name));
+
+    datalist.innerHTML = [...names.values()]
+        .map(name => `<option value="${escapeAttribute(name)}"></option>`)
+        .join('');
+}
+
+
+/**
+ * El contenido por paquete solo se pide para la unidad "paquete"
+ */
+function updatePackageSizeVisibility() {
+    const group = document.getElementById('package-size-group');
+    if (group) group.hidden = document.getElementById('product-unit').value !== 'paquete';
+}
+
+
+/**
+ * Lee el contenido por paquete del formulario de producto
+ * @returns {Object|null} { quantity, unit } o null si no aplica
+ */
+function readPackageSize(formData) {
+    const quantity = parseAmount(formData.get('packageQuantity'));
+
+    if (formData.get('unit') !== 'paquete' || !(quantity > 0)) return null;
+
+    return { quantity, unit: formData.get('packageUnit') };
+}
+
+
+function openRemoveModal(productId, type, lotId = null) {
+    const product = state.products.find(p => p.id === productId);
+    if (!product) return;
+
+    const lot = lotId ? product.lots.find(l => l.id === lotId) : null;
+    const available = lot ? lot.quantity : product.quantity;
+    const isDiscard = type === 'discard';
+    const quantityInput = document.getElementById('remove-quantity');
+    const unitSelect = document.getElementById('remove-unit');
+    const reasonSelect = document.getElementById('remove-reason');
+
+    state.removal = { productId, type, lotId, available, unit: product.unit };
+
+    document.getElementById('modal-remove-title').textContent = isDiscard ? 'Tirar producto' : 'Consumido';
+    document.getElementById('remove-product-name').textContent =
+        `${product.name} • disponible: ${formatQuantity(available, product.unit, product.packageSize)}`;
+
+    // Se puede indicar la cantidad en cualquier unidad compatible (200 g de un producto en kg)
+    unitSelect.innerHTML = getCompatibleUnits(product.unit, product.packageSize)
+        .map(unit => `<option value="${unit}">${getUnitLabel(unit, 2)}</option>`)
+        .join('');
+    unitSelect.value = product.unit;
+    unitSelect.hidden = unitSelect.options.length < 2;
+
+    quantityInput.max = available;
+    quantityInput.value = isDiscard && lot ? available : Math.min(1, available);
+
+    document.getElementById('remove-reason-group').hidden = !isDiscard;
+    reasonSelect.innerHTML = Object.entries(DISCARD_REASONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    const expiryDate = lot ? lot.expiryDate : product.expiryDate;
+    reasonSelect.value = expiryDate && getDaysUntilExpiry(expiryDate) < 0 ? 'caducado' : 'estropeado';
+
+    elements.modalRemove?.showModal();
+}
+
+
+function renderLotRows(lots) {
+    const container = document.getElementById('product-lots');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (lots.length === 0) {
+        addLotRow();
+        return;
+    }
+
+    lots.forEach(lot => addLotRow(lot));
+}
+
+
+function addLotRow(lot = {}) {
+    const container = document.getElementById('product-lots');
+    if (!container) return;
+
+    container.insertAdjacentHTML('beforeend', `
+        <div class="lot-row" data-lot-id="${escapeAttribute(lot.id)}" data-added-at="${escapeAttribute(lot.addedAt)}">
+            <input type="number" name="lotQuantity" min="0" step="any" value="${lot.quantity ?? 1}" aria-label="Cantidad del lote">
+            <input type="date" name="lotExpiry" value="${escapeAttribute(lot.expiryDate?.slice(0, 10))}" aria-label="Caducidad del lote">
+            <button type="button" class="product-card__btn product-card__btn--delete" data-action="remove-lot" aria-label="Quitar lote">
+                ✕
+            </button>
+        </div>
+    `);
+}
+
+
+function readLotRows() {
+    return [...document.querySelectorAll('#product-lots .lot-row')]
+        .map(row => {
+            const lot = {
+                quantity: parseAmount(row.querySelector('[name="lotQuantity"]').value) || 0,
+                expiryDate: row.querySelector('[name="lotExpiry"]').value || null
+            };
+
+            if (row.dataset.lotId) lot.id = row.dataset.lotId;
+            if (row.dataset.addedAt) lot.addedAt = row.dataset.addedAt;
+
+            return lot;
+        })
+        .filter(lot => lot.quantity > 0);
+}
+
+
+function openShoppingModal(itemId = null) {
+    const item = itemId ? state.shoppingList.find(listItem => listItem.id === itemId) : null;
+    const amountInput = document.getElementById('shopping-amount');
+    const unitSelect = document.getElementById('shopping-unit');
+
+    state.editingShoppingId = item ? item.id : null;
     elements.formShopping?.reset();
+    delete amountInput.dataset.edited;
+
+    unitSelect.innerHTML = '<option value="">—</option>' + Object.keys(UNITS)
+        .map(unit => `<option value="${unit}">${getUnitLabel(unit, 2)}</option>`)
+        .join('');
+
+    document.getElementById('shopping-category').innerHTML = '<option value="">Automática</option>' + state.categories
+        .map(category => `<option value="${escapeAttribute(category.key)}">${sanitizeHTML(category.icon)} ${sanitizeHTML(category.name)}</option>`)
+        .join('');
+
+    document.getElementById('modal-shopping-title').textContent = item ? 'Editar item' : 'Agregar a Lista';
+    document.getElementById('btn-shopping-submit').textContent = item ? 'Guardar' : 'Agregar';
+
+    if (item) {
+        document.getElementById('shopping-name').value = item.name;
+        document.getElementById('shopping-quantity').value = item.quantity || '';
+        amountInput.value = item.amount ?? '';
+        unitSelect.value = item.unit || '';
+        document.getElementById('shopping-category').value = item.category || '';
+        document.getElementById('shopping-price').value = item.price ?? '';
+        document.getElementById('shopping-store').value = item.store || '';
+    } else {
+        document.getElementById('shopping-store').value = getCurrentShop()?.name || '';
+    }
+
+    renderStoreOptions();
+
     elements.modalShopping?.showModal();
 }
 
@@ -584,7 +3478,26 @@ function openShoppingModal() {
 function closeModals() {
     elements.modalProduct?.close();
     elements.modalShopping?.close();
+    elements.modalRemove?.close();
+    elements.modalMove?.close();
+    elements.modalLocations?.close();
+    elements.modalCategories?.close();
+    elements.modalShops?.close();
+    elements.modalLists?.close();
+    elements.modalMoveList?.close();
+    elements.modalTemplates?.close();
+    elements.modalRecurring?.close();
+    elements.modalPaste?.close();
+    elements.modalTrash?.close();
+    elements.modalData?.close();
+    elements.modalCsv?.close();
+    elements.modalDuplicates?.close();
+    elements.modalStow?.close();
     state.editingProductId = null;
+    state.editingProductBase = null;
+    state.editingShoppingId = null;
+    state.removal = null;
+    state.movingShoppingId = null;
 }
 
 
@@ -598,9 +3511,26 @@ function handleURLParams() {
     
     
     const tab = params.get('tab');
-    if (tab && ['inventario', 'compras', 'caducidad'].includes(tab)) {
+    if (tab && ['inventario', 'compras', 'caducidad', 'estadisticas'].includes(tab)) {
         switchTab(tab);
     }
+
+    // Contenido recibido como destino de compartir (ver sw.js)
+    if (params.has('shared')) {
+        openSharedContent(params).catch(error => {
+            console.error('Error al leer lo compartido:', error);
+            showToast('No se pudo leer lo compartido');
+        });
+    }
+
+    // ?tab=compras&list=Carnicería (o el id de la lista) abre esa lista
+    const listParam = params.get('list');
+    if (listParam) {
+        const list = state.lists.find(item =>
+            String(item.id) === listParam || normalizeText(item.name) === normalizeText(listParam)
+        );
+        setCurrentList(list ? list.id : null);
+    }
 }
 
 
@@ -0,0 +1,131 @@
+import { sanitizeHTML } from './utils.js';
+
+/**
+ * Gráficos en SVG inline (sin librerías ni red, funcionan offline).
+ * Los colores se asignan por clase CSS: .chart__bar--{serie}
+ */
+
+const CHART_WIDTH = 320;
+
+
+/**
+ * Redondea el máximo del eje a un valor "bonito" (1, 2, 5, 10, 20...)
+ */
+function getNiceMax(value) {
+    if (value <= 0) return 1;
+
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const normalized = value / magnitude;
+    const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+
+    return nice * magnitude;
+}
+
+/**
+ * Leyenda HTML de las series
+ */
+function renderLegend(series) {
+    return `
+        <figcaption class="chart__legend">
+            ${series.map(serie => `
+                <span class="chart__legend-item">
+                    <span class="chart__swatch chart__bar--${serie.key}"></span>
+                    ${sanitizeHTML(serie.label)}
+                </span>
+            `).join('')}
+        </figcaption>
+    `;
+}
+
+/**
+ * Gráfico de barras agrupadas (una agrupación por elemento de data)
+ * @param {Array} data - [{ label, [serie.key]: valor }]
+ * @param {Array} series - [{ key, label }]
+ * @param {Object} options - { height, title }
+ * @returns {string} HTML con el SVG y la leyenda
+ */
+export function groupedBarChart(data, series, { height = 180, title = '' } = {}) {
+    const padding = { top: 12, right: 8, bottom: 24, left: 28 };
+    const plotWidth = CHART_WIDTH - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const maxValue = getNiceMax(Math.max(0, ...data.flatMap(item => series.map(serie => item[serie.key] || 0))));
+    const groupWidth = plotWidth / Math.max(data.length, 1);
+    const barWidth = Math.min(18, (groupWidth * 0.7) / series.length);
+    const y = (value) => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const gridLines = [0, maxValue / 2, maxValue].map(value => `
+        <line class="chart__grid" x1="${padding.left}" x2="${CHART_WIDTH - padding.right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="chart__axis" x="${padding.left - 4}" y="${y(value) + 3}" text-anchor="end">${Math.round(value * 10) / 10}</text>
+    `).join('');
+
+    const groups = data.map((item, index) => {
+        const groupX = padding.left + index * groupWidth + (groupWidth - barWidth * series.length) / 2;
+
+        const bars = series.map((serie, serieIndex) => {
+            const value = item[serie.key] || 0;
+            return `
+                <rect class="chart__bar chart__bar--${serie.key}"
+                    x="${groupX + serieIndex * barWidth}" y="${y(value)}"
+                    width="${barWidth - 1}" height="${padding.top + plotHeight - y(value)}">
+                    <title>${sanitizeHTML(`${item.label} - ${serie.label}: ${value}`)}</title>
+                </rect>
+            `;
+        }).join('');
+
+        return `
+            ${bars}
+            <text class="chart__axis" x="${padding.left + index * groupWidth + groupWidth / 2}" y="${height - 6}" text-anchor="middle">
+                ${sanitizeHTML(item.label)}
+            </text>
+        `;
+    }).join('');
+
+    return `
+        <figure class="chart">
+            <svg class="chart__svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${sanitizeHTML(title)}">
+                ${gridLines}
+                ${groups}
+            </svg>
+            ${renderLegend(series)}
+        </figure>
+    `;
+}
+
+/**
+ * Gráfico de barras horizontales
+ * @param {Array} items - [{ label, value }]
+ * @param {Object} options - { serie: clase de color, title }
+ * @returns {string} HTML con el SVG
+ */
+export function horizontalBarChart(items, { serie = 'default', title = '' } = {}) {
+    const rowHeight = 26;
+    const labelWidth = 120;
+    const valueWidth = 28;
+    const height = items.length * rowHeight;
+    const barMaxWidth = CHART_WIDTH - labelWidth - valueWidth;
+    const maxValue = Math.max(1, ...items.map(item => item.value));
+
+    const rows = items.map((item, index) => {
+        const y = index * rowHeight;
+        const width = (item.value / maxValue) * barMaxWidth;
+
+        return `
+            <text class="chart__label" x="${labelWidth - 6}" y="${y + rowHeight / 2 + 4}" text-anchor="end">
+                ${sanitizeHTML(item.label)}
+            </text>
+            <rect class="chart__bar chart__bar--${serie}" x="${labelWidth}" y="${y + 4}" width="${Math.max(width, 2)}" height="${rowHeight - 8}" rx="3">
+                <title>${sanitizeHTML(`${item.label}: ${item.value}`)}</title>
+            </rect>
+            <text class="chart__axis" x="${labelWidth + Math.max(width, 2) + 4}" y="${y + rowHeight / 2 + 4}">${item.value}</text>
+        `;
+    }).join('');
+
+    return `
+        <figure class="chart">
+            <svg class="chart__svg" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${sanitizeHTML(title)}">
+                ${rows}
+            </svg>
+        </figure>
+    `;
+}
@@ -0,0 +1,278 @@
+import { getCategoryList, normalizeText, FALLBACK_CATEGORY } from './utils.js';
+import { parseAmount, resolveUnit } from './units.js';
+
+
+const CSV_DELIMITER = ';';
+// Las hojas de cálculo ejecutan como fórmula el texto que empieza así
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Columnas del inventario en CSV y los encabezados que se aceptan al importar
+ */
+const PRODUCT_COLUMNS = [
+    { field: 'name', header: 'nombre', aliases: ['name', 'producto', 'articulo'] },
+    { field: 'quantity', header: 'cantidad', aliases: ['quantity', 'cant'] },
+    { field: 'unit', header: 'unidad', aliases: ['unit', 'unidades'] },
+    { field: 'category', header: 'categoria', aliases: ['category'] },
+    { field: 'expiryDate', header: 'caducidad', aliases: ['expirydate', 'expiry', 'fecha de caducidad', 'fecha caducidad', 'vencimiento'] },
+    { field: 'notes', header: 'notas', aliases: ['notes', 'nota', 'observaciones'] }
+];
+
+
+/**
+ * Detecta el separador más probable mirando la primera línea
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const candidates = [';', ',', '\t'];
+
+    return candidates.reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    , CSV_DELIMITER);
+}
+
+/**
+ * Parsea texto CSV (con comillas dobles y saltos de línea dentro de campos)
+ * @param {string} text - Contenido del archivo
+ * @param {string} delimiter - Separador; se detecta si no se indica
+ * @returns {string[][]} Filas con sus celdas
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+    return tokenizeCSV(text, delimiter).map(row => row.cells);
+}
+
+/**
+ * Separa el CSV en filas guardando la línea del archivo en la que empieza cada una,
+ * para que los errores señalen la línea real aunque haya líneas vacías o celdas de varias líneas
+ * @returns {Array} [{ line, cells }]
+ */
+function tokenizeCSV(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const content = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            field = '';
+            rowLine = ++line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+    }
+
+    // Ignorar líneas vacías
+    return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Escapa una celda si contiene separador, comillas o saltos de línea.
+ * El texto que parece una fórmula ("=HYPERLINK(...)") se exporta con un ' delante
+ * para que la hoja de cálculo lo muestre como texto en vez de ejecutarlo.
+ */
+function escapeCell(value, delimiter) {
+    let text = value === null || value === undefined ? '' : value.toString();
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Convierte filas a texto CSV
+ * @param {Array<Array>} rows - Filas (la primera suele ser el encabezado)
+ * @param {string} delimiter - Separador
+ */
+export function toCSV(rows, delimiter = CSV_DELIMITER) {
+    return rows
+        .map(row => row.map(cell => escapeCell(cell, delimiter)).join(delimiter))
+        .join('\r\n');
+}
+
+/**
+ * Genera el CSV del inventario
+ * @param {Array} products - Productos de getAllProducts()
+ * @returns {string} CSV con BOM para que las hojas de cálculo respeten las tildes
+ */
+export function productsToCSV(products) {
+    const header = PRODUCT_COLUMNS.map(column => column.header);
+    const rows = products.map(product =>
+        PRODUCT_COLUMNS.map(column => product[column.field] ?? '')
+    );
+
+    return '\uFEFF' + toCSV([header, ...rows]);
+}
+
+/**
+ * Relaciona cada columna del encabezado con un campo de producto
+ * @returns {Object} { field: índice de columna }
+ */
+function mapHeader(headerRow) {
+    const mapping = {};
+
+    headerRow.forEach((cell, index) => {
+        const key = normalizeText(cell);
+        const column = PRODUCT_COLUMNS.find(col =>
+            normalizeText(col.header) === key || col.aliases.includes(key)
+        );
+
+        if (column && mapping[column.field] === undefined) {
+            mapping[column.field] = index;
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Convierte una fecha de hoja de cálculo a YYYY-MM-DD
+ * Acepta 2024-05-31, 31/05/2024, 31-05-24...
+ * @returns {string|null} Fecha ISO o null si no es válida
+ */
+function parseDate(value) {
+    let year;
+    let month;
+    let day;
+
+    const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const local = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+
+    if (iso) {
+        [, year, month, day] = iso.map(Number);
+    } else if (local) {
+        [, day, month, year] = local.map(Number);
+        if (year < 100) year += 2000;
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Busca la clave de categoría a partir de la clave o el nombre visible
+ */
+function resolveCategory(value) {
+    const key = normalizeText(value);
+
+    return getCategoryList().find(category =>
+        category.key === key || normalizeText(category.name) === key
+    )?.key || null;
+}
+
+/**
+ * Valida una fila del CSV y la convierte en producto
+ * @returns {Object} { product, errors }
+ */
+function rowToProduct(cells, mapping) {
+    const errors = [];
+    // Se quita el ' que añade la exportación delante de lo que parece una fórmula
+    const read = (field) => (mapping[field] !== undefined ? cells[mapping[field]] ?? '' : '')
+        .replace(/^'(?=[=+\-@\t\r])/, '')
+        .trim();
+
+    const name = read('name');
+    if (!name) errors.push('Falta el nombre');
+
+    const quantityText = read('quantity');
+    let quantity = 1;
+    if (quantityText) {
+        quantity = parseAmount(quantityText);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            errors.push(`Cantidad no válida: "${quantityText}"`);
+        }
+    }
+
+    const unitText = read('unit');
+    const unit = unitText ? resolveUnit(unitText) : 'unidad';
+    if (!unit) errors.push(`Unidad desconocida: "${unitText}"`);
+
+    const categoryText = read('category');
+    const category = categoryText ? resolveCategory(categoryText) : FALLBACK_CATEGORY;
+    if (!category) errors.push(`Categoría desconocida: "${categoryText}"`);
+
+    const expiryText = read('expiryDate');
+    const expiryDate = expiryText ? parseDate(expiryText) : null;
+    if (expiryText && !expiryDate) errors.push(`Fecha no válida: "${expiryText}"`);
+
+    return {
+        product: {
+            name,
+            quantity,
+            unit,
+            category,
+            expiryDate,
+            notes: read('notes')
+        },
+        errors
+    };
+}
+
+/**
+ * Parsea un CSV de inventario y valida cada fila sin guardar nada
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} { rows: [{ line, product, errors }], errors: [] }
+ */
+export function parseProductsCSV(text) {
+    const [header, ...dataRows] = tokenizeCSV(text);
+    const headerRow = header?.cells;
+
+    if (!headerRow) {
+        return { rows: [], errors: ['El archivo está vacío'] };
+    }
+
+    const mapping = mapHeader(headerRow);
+
+    if (mapping.name === undefined) {
+        return { rows: [], errors: ['No se encontró la columna "nombre"'] };
+    }
+
+    const rows = dataRows.map(({ line, cells }) => ({
+        line,
+        ...rowToProduct(cells, mapping)
+    }));
+
+    return { rows, errors: [] };
+}
@@ -1,37 +1,171 @@
 
+import {
+    normalizeProductLots,
+    consumeFromLots,
+    getLotsTotal,
+    getLotEntries,
+    filterLotsByDays
+} from './lots.js';
+import { rankProducts } from './search.js';
+import { roundQuantity, convertUnitPrice, areUnitsCompatible } from './units.js';
+import { findDuplicate, mergeProducts } from './duplicates.js';
+import {
+    normalizeShoppingItem,
+    parseShoppingQuantity,
+    findShoppingMatch,
+    mergeShoppingQuantities,
+    guessCategory,
+    getItemTotal,
+    getNextDueDate
+} from './shopping.js';
+import {
+    formatQuantity,
+    normalizeText,
+    CATEGORY_NAMES,
+    CATEGORY_ICONS,
+    FALLBACK_CATEGORY,
+    getTodayISO
+} from './utils.js';
+
 const DB_NAME = 'GestorDespensaDB';
-const DB_VERSION = 1;
 
 
 const STORES = {
     PRODUCTS: 'products',
-    SHOPPING: 'shopping'
+    SHOPPING: 'shopping',
+    HISTORY: 'history',
+    TRASH: 'trash',
+    LOCATIONS: 'locations',
+    CATEGORIES: 'categories',
+    SHOPS: 'shops',
+    LISTS: 'lists',
+    TEMPLATES: 'templates',
+    RECURRING: 'recurring',
+    OUTBOX: 'outbox',
+    SETTINGS: 'settings'
 };
 
-let db = null;
+/**
+ * Ubicaciones que se crean la primera vez
+ */
+const DEFAULT_LOCATIONS = [
+    { name: 'Nevera', icon: '❄️' },
+    { name: 'Congelador', icon: '🧊' },
+    { name: 'Despensa', icon: '🗄️' }
+];
 
+/**
+ * Tipos de evento del historial de salidas de la despensa
+ */
+const HISTORY_TYPES = {
+    CONSUMED: 'consumed',
+    DISCARDED: 'discarded',
+    PURCHASED: 'purchased'
+};
 
-export async function initDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+const BACKUP_FORMAT = 'gestor-despensa-backup';
+const BACKUP_VERSION = 1;
 
-       
-        request.onupgradeneeded = (event) => {
-            const database = event.target.result;
+/**
+ * Stores incluidos en la copia y el campo de texto obligatorio en sus registros.
+ * Los referenciados van antes que los que los usan (ver BACKUP_REFERENCES).
+ */
+const BACKUP_STORES = {
+    [STORES.LOCATIONS]: 'name',
+    [STORES.CATEGORIES]: 'key',
+    [STORES.SHOPS]: 'name',
+    [STORES.LISTS]: 'name',
+    [STORES.RECURRING]: 'name',
+    [STORES.PRODUCTS]: 'name',
+    [STORES.SHOPPING]: 'name',
+    [STORES.HISTORY]: 'type',
+    [STORES.TEMPLATES]: 'name',
+    [STORES.TRASH]: 'store'
+};
 
-            
+/**
+ * Campos con el id de un registro de otro store. Al combinar una copia, un registro
+ * cuyo id ya usa otro se añade con uno nuevo y estos campos se reescriben.
+ */
+const BACKUP_REFERENCES = {
+    [STORES.PRODUCTS]: { location: STORES.LOCATIONS },
+    [STORES.SHOPPING]: { listId: STORES.LISTS, productId: STORES.PRODUCTS, recurringId: STORES.RECURRING },
+    [STORES.HISTORY]: { productId: STORES.PRODUCTS, itemId: STORES.SHOPPING },
+    [STORES.RECURRING]: { listId: STORES.LISTS }
+};
+
+/**
+ * Stores cuyos registros borrados pasan por la papelera
+ */
+const TRASHABLE_STORES = [STORES.PRODUCTS, STORES.SHOPPING];
+
+/**
+ * Stores que se sincronizan con el servidor, con los referenciados antes que los que los
+ * usan (ubicaciones antes que productos). La papelera no se sincroniza: borrar envía
+ * un 'delete' y restaurar vuelve a enviar el registro con su syncId.
+ */
+const SYNC_STORES = [
+    STORES.LOCATIONS,
+    STORES.CATEGORIES,
+    STORES.LISTS,
+    STORES.SHOPS,
+    STORES.PRODUCTS,
+    STORES.SHOPPING,
+    STORES.HISTORY,
+    STORES.TEMPLATES,
+    STORES.RECURRING
+];
+
+const SYNC_SETTINGS_KEY = 'sync';
+
+/**
+ * Productos sacados desde las notificaciones con la app cerrada (ver takeLot en sw-db.js)
+ */
+const PENDING_RESTOCK_KEY = 'pending-restock';
+
+/**
+ * Canal por el que cada ventana avisa a las demás de los stores que ha modificado
+ */
+const CHANGES_CHANNEL = 'despensa-changes';
+
+/**
+ * El registro cambió (en otra ventana o desde otro dispositivo) después de leerlo para editarlo
+ */
+export class ConflictError extends Error {
+    /**
+     * @param {Object|null} current - Versión guardada, o null si se borró
+     */
+    constructor(current) {
+        super(current ? 'El registro se modificó mientras se editaba' : 'El registro se eliminó mientras se editaba');
+        this.name = 'ConflictError';
+        this.current = current;
+    }
+}
+
+/**
+ * Migraciones del esquema, una por versión y en orden.
+ * Cada una puede tener:
+ *  - upgrade(database, transaction): crea stores e índices
+ *  - records: { [store]: (record) => record } reescribe los registros existentes
+ *    (devolver null elimina el registro). También se aplica a copias de seguridad antiguas.
+ * Para cambiar el esquema basta con añadir una migración al final; nunca modificar las ya publicadas.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Stores de productos y lista de compras',
+        upgrade(database) {
             if (!database.objectStoreNames.contains(STORES.PRODUCTS)) {
                 const productStore = database.createObjectStore(STORES.PRODUCTS, {
                     keyPath: 'id',
                     autoIncrement: true
                 });
-                
+
                 productStore.createIndex('name', 'name', { unique: false });
                 productStore.createIndex('category', 'category', { unique: false });
                 productStore.createIndex('expiryDate', 'expiryDate', { unique: false });
             }
 
-            
             if (!database.objectStoreNames.contains(STORES.SHOPPING)) {
                 const shoppingStore = database.createObjectStore(STORES.SHOPPING, {
                     keyPath: 'id',
@@ -39,12 +173,322 @@ export async function initDB() {
                 });
                 shoppingStore.createIndex('bought', 'bought', { unique: false });
             }
+        }
+    },
+    {
+        version: 2,
+        description: 'Lotes con cantidad y caducidad propias en cada producto',
+        records: {
+            [STORES.PRODUCTS]: (product) => normalizeProductLots(product)
+        }
+    },
+    {
+        version: 3,
+        description: 'Historial de productos consumidos y desechados',
+        upgrade(database) {
+            if (!database.objectStoreNames.contains(STORES.HISTORY)) {
+                const historyStore = database.createObjectStore(STORES.HISTORY, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+
+                historyStore.createIndex('type', 'type', { unique: false });
+                historyStore.createIndex('productId', 'productId', { unique: false });
+                historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Papelera para productos e items borrados',
+        upgrade(database) {
+            if (!database.objectStoreNames.contains(STORES.TRASH)) {
+                const trashStore = database.createObjectStore(STORES.TRASH, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+
+                trashStore.createIndex('store', 'store', { unique: false });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Ubicaciones (nevera, congelador, despensa) y ubicación de cada producto',
+        upgrade(database, transaction) {
+            if (!database.objectStoreNames.contains(STORES.LOCATIONS)) {
+                const locationStore = database.createObjectStore(STORES.LOCATIONS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+
+                DEFAULT_LOCATIONS.forEach((location, order) => {
+                    locationStore.add({ ...location, order, createdAt: new Date().toISOString() });
+                });
+            }
+
+            ensureIndex(transaction.objectStore(STORES.PRODUCTS), 'location', 'location');
+        },
+        records: {
+            [STORES.PRODUCTS]: (product) => ({ location: null, ...product })
+        }
+    },
+    {
+        version: 6,
+        description: 'Categorías editables (se conservan las claves de las categorías fijas)',
+        upgrade(database) {
+            if (!database.objectStoreNames.contains(STORES.CATEGORIES)) {
+                const categoryStore = database.createObjectStore(STORES.CATEGORIES, { keyPath: 'key' });
+
+                Object.keys(CATEGORY_NAMES).forEach((key, order) => {
+                    categoryStore.add({
+                        key,
+                        name: CATEGORY_NAMES[key],
+                        icon: CATEGORY_ICONS[key],
+                        order,
+                        createdAt: new Date().toISOString()
+                    });
+                });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Cantidad interpretada (número y unidad) en los items de la compra',
+        records: {
+            [STORES.SHOPPING]: (item) => item.amount !== undefined
+                ? item
+                : { ...item, quantity: item.quantity || '', ...parseShoppingQuantity(item.quantity) }
+        }
+    },
+    {
+        version: 8,
+        description: 'Tiendas con su orden de pasillos y categoría en los items de la compra',
+        upgrade(database) {
+            if (!database.objectStoreNames.contains(STORES.SHOPS)) {
+                database.createObjectStore(STORES.SHOPS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+            }
+        },
+        records: {
+            [STORES.SHOPPING]: (item) => ({ category: null, ...item })
+        }
+    },
+    {
+        version: 9,
+        description: 'Varias listas de la compra con nombre (los items existentes quedan en la principal)',
+        upgrade(database) {
+            if (!database.objectStoreNames.contains(STORES.LISTS)) {
+                database.createObjectStore(STORES.LISTS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+            }
+        },
+        records: {
+            [STORES.SHOPPING]: (item) => ({ listId: null, ...item })
+        }
+    },
+    {
+        version: 10,
+        description: 'Plantillas de lista e items de la compra recurrentes',
+        upgrade(database) {
+            [STORES.TEMPLATES, STORES.RECURRING].forEach(storeName => {
+                if (!database.objectStoreNames.contains(storeName)) {
+                    database.createObjectStore(storeName, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                }
+            });
+        }
+    },
+    {
+        version: 11,
+        description: 'Bandeja de salida y ajustes para sincronizar con un servidor; syncId común en cada registro',
+        upgrade(database, transaction) {
+            if (!database.objectStoreNames.contains(STORES.OUTBOX)) {
+                database.createObjectStore(STORES.OUTBOX, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+            }
+
+            if (!database.objectStoreNames.contains(STORES.SETTINGS)) {
+                database.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+            }
+
+            SYNC_STORES.forEach(storeName => {
+                ensureIndex(transaction.objectStore(storeName), 'syncId', 'syncId');
+            });
+        },
+        records: {
+            ...Object.fromEntries(SYNC_STORES.map(storeName => [storeName, withSyncId])),
+            // Las ubicaciones de serie se crean en cada dispositivo: mismo syncId en todos
+            [STORES.LOCATIONS]: (location) => DEFAULT_LOCATIONS.some(({ name }) => name === location.name)
+                ? { syncId: `location-${normalizeText(location.name)}`, ...location }
+                : withSyncId(location)
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let db = null;
+
+/**
+ * Ajustes de sincronización en memoria: sin endpoint no se anota nada en la bandeja de salida
+ */
+let syncSettings = null;
+let outboxListener = null;
+/** Cambios anotados por cada transacción, para avisar al completarse */
+const queuedChanges = new WeakMap();
+
+const changesChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANGES_CHANNEL) : null;
+
+// Otra ventana activó o desactivó la sincronización
+changesChannel?.addEventListener('message', (event) => {
+    if (db && event.data?.stores?.includes(STORES.SETTINGS)) getSyncSettings().catch(() => {});
+});
+
+/**
+ * Crea un índice si todavía no existe
+ * @param {IDBObjectStore} store - Store obtenido de la transacción de actualización
+ */
+function ensureIndex(store, name, keyPath, options = { unique: false }) {
+    if (!store.indexNames.contains(name)) {
+        store.createIndex(name, keyPath, options);
+    }
+}
+
+/**
+ * Identificador del registro compartido entre dispositivos (el id autoincremental es local)
+ */
+function createSyncId() {
+    if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function withSyncId(record) {
+    return record.syncId ? record : { ...record, syncId: createSyncId() };
+}
+
+/**
+ * Recorre un store con un cursor reescribiendo cada registro
+ * @param {IDBObjectStore} store - Store a recorrer
+ * @param {Function} rewrite - Recibe el registro y devuelve el nuevo (null para eliminarlo)
+ */
+function rewriteRecords(store, rewrite) {
+    return new Promise((resolve, reject) => {
+        const request = store.openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+
+            try {
+                const updated = rewrite(cursor.value);
+
+                if (updated === null) {
+                    cursor.delete();
+                } else if (updated) {
+                    cursor.update(updated);
+                }
+
+                cursor.continue();
+            } catch (error) {
+                reject(error);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ejecuta en orden las migraciones pendientes dentro de la transacción de actualización
+ * @param {IDBDatabase} database - Base de datos en actualización
+ * @param {IDBTransaction} transaction - Transacción 'versionchange'
+ * @param {number} oldVersion - Versión desde la que se actualiza (0 si es nueva)
+ */
+async function runMigrations(database, transaction, oldVersion) {
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= oldVersion) continue;
+
+        migration.upgrade?.(database, transaction);
+
+        for (const [storeName, rewrite] of Object.entries(migration.records || {})) {
+            await rewriteRecords(transaction.objectStore(storeName), rewrite);
+        }
+
+        console.log(`Migración ${migration.version} aplicada: ${migration.description}`);
+    }
+}
+
+/**
+ * Adapta registros guardados con una versión anterior del esquema
+ * @param {string} storeName - Store al que pertenecen
+ * @param {Array} records - Registros a adaptar
+ * @param {number} fromVersion - Versión del esquema con la que se guardaron
+ */
+function upgradeRecords(storeName, records, fromVersion) {
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion && migration.records?.[storeName])
+        .reduce((current, migration) => current
+            .map(record => migration.records[storeName]({ ...record }) ?? null)
+            .filter(Boolean)
+        , records);
+}
+
+/**
+ * Abre la base de datos aplicando las migraciones pendientes
+ * @param {Object} options
+ * @param {Function} options.onBlocked - Otra pestaña con una versión antigua impide actualizar
+ * @param {Function} options.onVersionChange - Otra pestaña va a actualizar; la conexión se cierra
+ */
+export async function initDB({ onBlocked, onVersionChange } = {}) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const database = event.target.result;
+            const transaction = event.target.transaction;
+
+            console.log(`Actualizando IndexedDB de v${event.oldVersion} a v${event.newVersion}`);
+
+            runMigrations(database, transaction, event.oldVersion).catch((error) => {
+                console.error('Error en la migración:', error);
+                transaction.abort();
+            });
+        };
+
+        request.onblocked = () => {
+            console.warn('Actualización de IndexedDB bloqueada por otra pestaña');
+            onBlocked?.();
         };
 
         request.onsuccess = (event) => {
             db = event.target.result;
+
+            // Cerrar la conexión para no bloquear la actualización de otra pestaña
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+                console.warn('La base de datos se actualizó en otra pestaña');
+                onVersionChange?.();
+            };
+
             console.log('IndexedDB inicializada correctamente');
-            resolve(db);
+
+            // La bandeja de salida solo se llena con la sincronización activa
+            getSyncSettings()
+                .then(() => resolve(db))
+                .catch(reject);
         };
 
         request.onerror = (event) => {
@@ -60,10 +504,66 @@ export async function initDB() {
  * @param {string} mode - 'readonly' o 'readwrite'
  */
 function getStore(storeName, mode = 'readonly') {
-    const transaction = db.transaction(storeName, mode);
+    const transaction = openTransaction(storeName, mode);
     return transaction.objectStore(storeName);
 }
 
+/**
+ * Abre una transacción. Al completarse una de escritura se avisa a las demás ventanas.
+ * Las de escritura sobre stores sincronizados incluyen la bandeja de salida, donde
+ * cada escritura anota su cambio (ver queueChange).
+ * @param {string|string[]} storeNames - Stores implicados
+ * @param {string} mode - 'readonly' o 'readwrite'
+ */
+function openTransaction(storeNames, mode) {
+    const names = [].concat(storeNames);
+    const synced = mode === 'readwrite' && names.some(name => SYNC_STORES.includes(name));
+    const scope = synced ? [...new Set([...names, STORES.OUTBOX])] : names;
+    const transaction = db.transaction(scope, mode);
+
+    if (mode === 'readwrite') {
+        transaction.addEventListener('complete', () => {
+            changesChannel?.postMessage({ stores: scope });
+
+            const queued = queuedChanges.get(transaction);
+            if (queued) outboxListener?.(queued);
+        });
+    }
+
+    return transaction;
+}
+
+/**
+ * Cambio pendiente de subir al servidor. 'clear' vacía el store entero y no lleva registro.
+ * @param {string} op - 'put', 'delete' o 'clear'
+ */
+function createOutboxEntry(storeName, keyPath, op, record = null) {
+    return {
+        store: storeName,
+        op,
+        key: record?.[keyPath] ?? null,
+        syncId: record?.syncId || null,
+        record: op === 'put' ? record : null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Anota un cambio en la bandeja de salida dentro de la transacción que lo escribe:
+ * si se aborta, no queda nada pendiente. Sin sincronización activa no hace nada.
+ * @param {IDBTransaction} transaction - Transacción de openTransaction con el store
+ * @param {string} storeName - Store modificado
+ * @param {string} op - 'put', 'delete' o 'clear'
+ * @param {Object} [record] - Registro guardado (con su clave) o borrado
+ */
+function queueChange(transaction, storeName, op, record) {
+    if (!syncSettings || !SYNC_STORES.includes(storeName)) return;
+
+    const { keyPath } = transaction.objectStore(storeName);
+    transaction.objectStore(STORES.OUTBOX).add(createOutboxEntry(storeName, keyPath, op, record));
+    queuedChanges.set(transaction, (queuedChanges.get(transaction) || 0) + 1);
+}
+
 
 export async function addProduct(product) {
     return new Promise((resolve, reject) => {
@@ -71,15 +571,18 @@ export async function addProduct(product) {
             const store = getStore(STORES.PRODUCTS, 'readwrite');
             
             
-            const productData = {
+            const productData = withSyncId(normalizeProductLots({
                 ...product,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
-            };
+            }));
 
             const request = store.add(productData);
 
-            request.onsuccess = () => resolve(request.result); 
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.PRODUCTS, 'put', { ...productData, id: request.result });
+                resolve(request.result);
+            };
             request.onerror = () => reject(request.error);
         } catch (error) {
             reject(error);
@@ -118,167 +621,628 @@ export async function getProductById(id) {
 }
 
 
-export async function updateProduct(product) {
-    return new Promise((resolve, reject) => {
-        try {
-            const store = getStore(STORES.PRODUCTS, 'readwrite');
-            
-            const productData = {
-                ...product,
-                updatedAt: new Date().toISOString()
-            };
+/**
+ * Guarda un producto editado
+ * @param {Object} product - Producto con el updatedAt de la versión que se editó
+ * @param {Object} options
+ * @param {boolean} options.force - Guardar aunque haya una versión más reciente (deshacer, sobrescribir)
+ * @throws {ConflictError} Si el producto cambió o se borró después de leerlo
+ */
+export async function updateProduct(product, { force = false } = {}) {
+    const productData = normalizeProductLots({
+        ...product,
+        updatedAt: new Date().toISOString()
+    });
 
-            const request = store.put(productData);
+    return runTransaction([STORES.PRODUCTS, STORES.SHOPPING, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const current = await requestToPromise(store.get(product.id));
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            reject(error);
+        if (!force && getRecordCreatedAt(product)) {
+            if (!current || getRecordTimestamp(current) > getRecordTimestamp(product)) {
+                throw new ConflictError(current || null);
+            }
         }
+
+        const id = await requestToPromise(store.put(productData));
+        queueChange(transaction, STORES.PRODUCTS, 'put', productData);
+        await restockIfLow(transaction, current, productData);
+        return id;
     });
 }
 
 
-export async function deleteProduct(id) {
-    return new Promise((resolve, reject) => {
-        try {
-            const store = getStore(STORES.PRODUCTS, 'readwrite');
-            const request = store.delete(id);
+/**
+ * Mueve un registro a la papelera dentro de una transacción que incluya ambos stores
+ * @param {IDBTransaction} transaction - Transacción con el store de origen y la papelera
+ * @param {string} storeName - Store de origen
+ * @param {number} id - ID del registro
+ * @returns {Promise<number|null>} ID en la papelera o null si el registro no existía
+ */
+async function moveRecordToTrash(transaction, storeName, id) {
+    const store = transaction.objectStore(storeName);
+    const record = await requestToPromise(store.get(id));
 
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            reject(error);
-        }
-    });
-}
+    if (!record) return null;
 
+    const trashId = await requestToPromise(transaction.objectStore(STORES.TRASH).add({
+        store: storeName,
+        record,
+        deletedAt: new Date().toISOString()
+    }));
+    await requestToPromise(store.delete(id));
+    queueChange(transaction, storeName, 'delete', record);
 
-export async function searchProducts(query) {
-    const products = await getAllProducts();
-    const lowerQuery = query.toLowerCase();
-    
-    return products.filter(product => 
-        product.name.toLowerCase().includes(lowerQuery)
-    );
+    return trashId;
 }
 
+/**
+ * Borra un registro sin pasar por la papelera y anota el borrado con su syncId
+ * @param {IDBTransaction} transaction - Transacción con el store
+ * @param {string} storeName - Store del registro
+ * @param {number|string} key - Clave del registro
+ * @returns {Promise<boolean>} false si el registro no existía
+ */
+async function deleteRecord(transaction, storeName, key) {
+    const store = transaction.objectStore(storeName);
+    const record = await requestToPromise(store.get(key));
 
-export async function getProductsByCategory(category) {
-    return new Promise((resolve, reject) => {
-        try {
-            const store = getStore(STORES.PRODUCTS);
-            const index = store.index('category');
-            const request = index.getAll(category);
+    if (!record) return false;
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            reject(error);
-        }
-    });
+    await requestToPromise(store.delete(key));
+    queueChange(transaction, storeName, 'delete', record);
+
+    return true;
 }
 
 /**
- * Obtiene productos próximos a caducar
- * @param {number} days - Días para considerar "próximo"
+ * Elimina un producto enviándolo a la papelera
+ * @param {number} id - ID del producto
+ * @returns {Promise<number|null>} ID en la papelera (para deshacer)
  */
-export async function getExpiringProducts(days = 7) {
-    const products = await getAllProducts();
-    const today = new Date();
-    const limitDate = new Date();
-    limitDate.setDate(today.getDate() + days);
+export async function deleteProduct(id) {
+    return runTransaction([STORES.PRODUCTS, STORES.TRASH, STORES.SHOPPING, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const product = await requestToPromise(transaction.objectStore(STORES.PRODUCTS).get(id));
+        const trashId = await moveRecordToTrash(transaction, STORES.PRODUCTS, id);
 
-    return products.filter(product => {
-        if (!product.expiryDate) return false;
-        const expiry = new Date(product.expiryDate);
-        return expiry <= limitDate && expiry >= today;
+        if (product) await restockIfLow(transaction, product, product, 0);
+        return trashId;
     });
 }
 
 
-export async function getExpiredProducts() {
+/**
+ * Busca un producto guardado igual al indicado (mismo nombre, categoría y unidad)
+ * @param {Object} product - Producto que se va a añadir
+ * @returns {Promise<Object|null>} Producto existente
+ */
+export async function findDuplicateProduct(product) {
     const products = await getAllProducts();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    return products.filter(product => {
-        if (!product.expiryDate) return false;
-        const expiry = new Date(product.expiryDate);
-        return expiry < today;
-    });
+    return findDuplicate(products, product);
 }
 
+/**
+ * Suma un producto nuevo a uno existente: se añaden sus lotes con sus caducidades
+ * @param {number} targetId - ID del producto existente
+ * @param {Object} product - Producto nuevo (sin guardar)
+ * @returns {Promise<Object>} Producto resultante
+ */
+export async function mergeIntoProduct(targetId, product) {
+    return runTransaction([STORES.PRODUCTS], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const target = await requestToPromise(store.get(targetId));
 
-export async function addShoppingItem(item) {
-    return new Promise((resolve, reject) => {
-        try {
-            const store = getStore(STORES.SHOPPING, 'readwrite');
-            
-            const itemData = {
-                ...item,
-                bought: false,
-                createdAt: new Date().toISOString()
-            };
+        if (!target) {
+            throw new Error('Producto no encontrado');
+        }
 
-            const request = store.add(itemData);
+        const merged = {
+            ...mergeProducts(target, [normalizeProductLots(product)]),
+            updatedAt: new Date().toISOString()
+        };
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            reject(error);
-        }
+        await requestToPromise(store.put(merged));
+        queueChange(transaction, STORES.PRODUCTS, 'put', merged);
+        return merged;
     });
 }
 
+/**
+ * Fusiona grupos de productos repetidos en una sola transacción.
+ * Los repetidos van a la papelera y su historial pasa al producto que queda.
+ * @param {Array} groups - [{ targetId, sourceIds }]
+ * @returns {Promise<Object>} { removed, targets, trashIds, events } para deshacer con undoMergeDuplicates
+ */
+export async function mergeDuplicateProducts(groups) {
+    return runTransaction([STORES.PRODUCTS, STORES.TRASH, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const historyStore = transaction.objectStore(STORES.HISTORY);
+        const history = await requestToPromise(historyStore.getAll());
+        const result = { removed: 0, targets: [], trashIds: [], events: [] };
 
-export async function getShoppingList() {
-    return new Promise((resolve, reject) => {
-        try {
-            const store = getStore(STORES.SHOPPING);
-            const request = store.getAll();
+        for (const { targetId, sourceIds } of groups) {
+            const target = await requestToPromise(store.get(targetId));
+            if (!target) continue;
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            reject(error);
+            const sources = [];
+            for (const id of sourceIds) {
+                const source = await requestToPromise(store.get(id));
+                if (source) sources.push(source);
+            }
+
+            const merged = {
+                ...mergeProducts(target, sources),
+                updatedAt: new Date().toISOString()
+            };
+            await requestToPromise(store.put(merged));
+            queueChange(transaction, STORES.PRODUCTS, 'put', merged);
+            result.targets.push(target);
+
+            for (const source of sources) {
+                result.trashIds.push(await moveRecordToTrash(transaction, STORES.PRODUCTS, source.id));
+                result.removed++;
+
+                for (const event of history.filter(item => item.productId === source.id)) {
+                    const moved = { ...event, productId: targetId };
+                    await requestToPromise(historyStore.put(moved));
+                    queueChange(transaction, STORES.HISTORY, 'put', moved);
+                    result.events.push({ id: event.id, productId: source.id });
+                }
+            }
         }
+
+        return result;
     });
 }
 
+/**
+ * Deshace una fusión: los productos que quedaron vuelven a como estaban, los repetidos
+ * salen de la papelera y su historial vuelve a apuntarles
+ * @param {Object} merge - Resultado de mergeDuplicateProducts
+ */
+export async function undoMergeDuplicates({ targets, trashIds, events }) {
+    return runTransaction([STORES.PRODUCTS, STORES.TRASH, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const historyStore = transaction.objectStore(STORES.HISTORY);
+
+        for (const target of targets) {
+            const restored = { ...target, updatedAt: new Date().toISOString() };
+            await requestToPromise(store.put(restored));
+            queueChange(transaction, STORES.PRODUCTS, 'put', restored);
+        }
+
+        const restored = await restoreTrashEntries(transaction, trashIds);
+        const restoredIds = new Map(restored.map(({ previousId, record }) => [previousId, record.id]));
+
+        for (const { id, productId } of events) {
+            const event = await requestToPromise(historyStore.get(id));
+            if (event) {
+                const moved = { ...event, productId: restoredIds.get(productId) ?? productId };
+                await requestToPromise(historyStore.put(moved));
+                queueChange(transaction, STORES.HISTORY, 'put', moved);
+            }
+        }
+    });
+}
+
+
+/**
+ * Busca productos por nombre, categoría y notas (sin tildes y tolerando erratas)
+ * @param {string} query - Texto buscado
+ * @returns {Promise<Array>} [{ product, score, matches }] ordenados por relevancia
+ */
+export async function searchProducts(query) {
+    const products = await getAllProducts();
+    return rankProducts(products, query);
+}
+
+
+/**
+ * Obtiene los productos de una categoría. Los que tienen una categoría que ya no
+ * existe cuentan como de la categoría de reserva.
+ * @param {string} category - Clave de la categoría
+ */
+export async function getProductsByCategory(category) {
+    const categories = await getCategories();
+    const keys = new Set(categories.map(item => item.key));
+
+    if (!keys.has(category) && category !== FALLBACK_CATEGORY) return [];
 
-export async function toggleShoppingItem(id, bought) {
     return new Promise((resolve, reject) => {
         try {
-            const store = getStore(STORES.SHOPPING, 'readwrite');
-            const getRequest = store.get(id);
-
-            getRequest.onsuccess = () => {
-                const item = getRequest.result;
-                if (item) {
-                    item.bought = bought;
-                    const updateRequest = store.put(item);
-                    updateRequest.onsuccess = () => resolve(true);
-                    updateRequest.onerror = () => reject(updateRequest.error);
-                } else {
-                    reject(new Error('Item no encontrado'));
-                }
+            const store = getStore(STORES.PRODUCTS);
+            const request = category === FALLBACK_CATEGORY
+                ? store.getAll()
+                : store.index('category').getAll(category);
+
+            request.onsuccess = () => resolve(category === FALLBACK_CATEGORY
+                ? request.result.filter(product => product.category === category || !keys.has(product.category))
+                : request.result);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Obtiene los productos guardados en una ubicación
+ * @param {number} locationId - ID de la ubicación
+ */
+export async function getProductsByLocation(locationId) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.PRODUCTS);
+            const index = store.index('location');
+            const request = index.getAll(locationId);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Cambia un producto de ubicación registrando cuándo se movió
+ * @param {number} id - ID del producto
+ * @param {number|null} locationId - Nueva ubicación (null para ninguna)
+ * @returns {Promise<Object>} Producto actualizado
+ */
+export async function moveProduct(id, locationId) {
+    return runTransaction([STORES.PRODUCTS], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const product = await requestToPromise(store.get(id));
+
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+
+        const from = product.location ?? null;
+        const to = locationId ?? null;
+        if (from === to) return product;
+
+        const movedAt = new Date().toISOString();
+        const updated = {
+            ...product,
+            location: to,
+            movedAt,
+            locationHistory: [...(product.locationHistory || []), { from, to, movedAt }],
+            updatedAt: movedAt
+        };
+
+        await requestToPromise(store.put(updated));
+        queueChange(transaction, STORES.PRODUCTS, 'put', updated);
+        return updated;
+    });
+}
+
+
+/**
+ * Saca una cantidad de un producto y la registra en el historial, todo en una transacción.
+ * Se descuenta del lote indicado o, si no se indica, del que caduca antes.
+ * Si no queda nada el producto se elimina.
+ * @param {number} id - ID del producto
+ * @param {number} amount - Cantidad a sacar
+ * @param {string} type - HISTORY_TYPES.CONSUMED o HISTORY_TYPES.DISCARDED
+ * @param {Object} options - { reason, lotId }
+ * @returns {Promise<Object>} { product, taken, removed, event, restockedItemId }
+ */
+async function takeFromProduct(id, amount, type, { reason = null, lotId = null } = {}) {
+    return runTransaction([STORES.PRODUCTS, STORES.HISTORY, STORES.SHOPPING], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const product = await requestToPromise(store.get(id));
+
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+
+        const { lots, taken } = consumeFromLots(normalizeProductLots(product).lots, amount, lotId);
+        const updated = normalizeProductLots({
+            ...product,
+            lots,
+            updatedAt: new Date().toISOString()
+        });
+        const removed = updated.lots.length === 0;
+
+        if (removed) {
+            await requestToPromise(store.delete(id));
+            queueChange(transaction, STORES.PRODUCTS, 'delete', product);
+        } else {
+            await requestToPromise(store.put(updated));
+            queueChange(transaction, STORES.PRODUCTS, 'put', updated);
+        }
+
+        const event = withSyncId({
+            type,
+            productId: id,
+            product,
+            quantity: getLotsTotal(taken),
+            unit: product.unit,
+            reason,
+            lots: taken,
+            timestamp: new Date().toISOString()
+        });
+        event.id = await requestToPromise(transaction.objectStore(STORES.HISTORY).add(event));
+        queueChange(transaction, STORES.HISTORY, 'put', event);
+
+        const restockedItemId = await restockIfLow(transaction, product, updated);
+        return { product: updated, taken, removed, event, restockedItemId };
+    });
+}
+
+/**
+ * Marca como consumida una cantidad de un producto (empezando por el lote que caduca antes)
+ * @param {number} id - ID del producto
+ * @param {number} amount - Cantidad consumida
+ * @param {Object} options - { reason, lotId }
+ */
+export async function consumeProduct(id, amount = 1, options = {}) {
+    return takeFromProduct(id, amount, HISTORY_TYPES.CONSUMED, options);
+}
+
+/**
+ * Marca como tirada una cantidad de un producto
+ * @param {number} id - ID del producto
+ * @param {number} amount - Cantidad desechada
+ * @param {Object} options - { reason, lotId }
+ */
+export async function discardProduct(id, amount = 1, options = {}) {
+    return takeFromProduct(id, amount, HISTORY_TYPES.DISCARDED, options);
+}
+
+/**
+ * Obtiene el historial de consumo y desperdicio, del más reciente al más antiguo
+ * @param {Object} filters - { type, productId }
+ */
+export async function getHistory({ type, productId } = {}) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.HISTORY);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                const events = request.result
+                    .filter(event => !type || event.type === type)
+                    .filter(event => productId === undefined || event.productId === productId)
+                    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+                resolve(events);
             };
-            getRequest.onerror = () => reject(getRequest.error);
+            request.onerror = () => reject(request.error);
         } catch (error) {
             reject(error);
         }
     });
 }
 
+/**
+ * Quita un lote concreto de un producto (si era el último el producto va a la papelera)
+ * @param {number} id - ID del producto
+ * @param {string} lotId - ID del lote
+ * @returns {Promise<Object>} { removed, trashId, previous } para poder deshacer
+ */
+export async function removeProductLot(id, lotId) {
+    return runTransaction([STORES.PRODUCTS, STORES.TRASH, STORES.SHOPPING, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.PRODUCTS);
+        const product = await requestToPromise(store.get(id));
+
+        if (!product) {
+            throw new Error('Producto no encontrado');
+        }
+
+        const lots = (product.lots || []).filter(lot => lot.id !== lotId);
 
-export async function deleteShoppingItem(id) {
+        if (lots.length === 0) {
+            const trashId = await moveRecordToTrash(transaction, STORES.PRODUCTS, id);
+            await restockIfLow(transaction, product, product, 0);
+            return { removed: true, trashId, previous: product };
+        }
+
+        const updated = normalizeProductLots({
+            ...product,
+            lots,
+            updatedAt: new Date().toISOString()
+        });
+        await requestToPromise(store.put(updated));
+        queueChange(transaction, STORES.PRODUCTS, 'put', updated);
+        await restockIfLow(transaction, product, updated);
+        return { removed: false, trashId: null, previous: product };
+    });
+}
+
+/**
+ * Obtiene los lotes próximos a caducar (una entrada por lote)
+ * @param {number} days - Días para considerar "próximo"
+ */
+export async function getExpiringProducts(days = 7) {
+    const products = await getAllProducts();
+    return filterLotsByDays(getLotEntries(products), 0, days);
+}
+
+/**
+ * Obtiene los lotes ya caducados (una entrada por lote)
+ */
+export async function getExpiredProducts() {
+    const products = await getAllProducts();
+    return filterLotsByDays(getLotEntries(products), -Infinity, -1);
+}
+
+
+/**
+ * Añade un item a la lista de la compra. Si ya hay uno pendiente con el mismo
+ * nombre se suman las cantidades ("leche 1l" dos veces → "leche 2 l").
+ * Si no se indica categoría se adivina por el inventario y el historial.
+ * @param {Object} item - { name, quantity, category, listId } (la cantidad puede ir en el nombre;
+ *                        sin listId va a la lista principal)
+ * @param {Object} options - { skipPending: si ya está pendiente no se suma la cantidad }
+ * @returns {Promise<number>} ID del item creado, actualizado o del pendiente que ya existía
+ */
+export async function addShoppingItem(item, { skipPending = false } = {}) {
+    return runTransaction([STORES.SHOPPING, STORES.PRODUCTS, STORES.HISTORY], 'readwrite', async (transaction) =>
+        (await putShoppingItem(transaction, item, { skipPending })).id
+    );
+}
+
+/**
+ * Guarda un item en la lista dentro de una transacción con SHOPPING, PRODUCTS e HISTORY
+ * @param {Object} options - { skipPending: si ya está pendiente en la lista no se toca }
+ * @returns {Promise<Object>} { id, merged, skipped }
+ */
+async function putShoppingItem(transaction, item, { skipPending = false } = {}) {
+    const store = transaction.objectStore(STORES.SHOPPING);
+    const itemData = { ...normalizeShoppingItem(item), listId: item.listId ?? null };
+    const sameList = (await requestToPromise(store.getAll())).filter(listItem => (listItem.listId ?? null) === itemData.listId);
+    const existing = findShoppingMatch(sameList, itemData.name);
+
+    if (existing && skipPending) {
+        return { id: existing.id, merged: false, skipped: true };
+    }
+
+    if (!itemData.category) {
+        itemData.category = guessCategory(
+            itemData.name,
+            await requestToPromise(transaction.objectStore(STORES.PRODUCTS).getAll()),
+            await requestToPromise(transaction.objectStore(STORES.HISTORY).getAll())
+        );
+    }
+
+    const merged = existing ? mergeShoppingQuantities(existing, itemData) : null;
+
+    if (merged) {
+        const updated = { ...merged, updatedAt: new Date().toISOString() };
+        await requestToPromise(store.put(updated));
+        queueChange(transaction, STORES.SHOPPING, 'put', updated);
+        return { id: existing.id, merged: true, skipped: false };
+    }
+
+    const created = withSyncId({
+        ...itemData,
+        bought: false,
+        createdAt: new Date().toISOString()
+    });
+    const id = await requestToPromise(store.add(created));
+    queueChange(transaction, STORES.SHOPPING, 'put', { ...created, id });
+
+    return { id, merged: false, skipped: false };
+}
+
+
+/**
+ * Actualiza un item de la lista de la compra (y su compra en el historial si ya está comprado)
+ * @param {Object} item - Item completo con su id
+ */
+export async function updateShoppingItem(item) {
+    return runTransaction([STORES.SHOPPING, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const updated = { ...item, updatedAt: new Date().toISOString() };
+        await requestToPromise(transaction.objectStore(STORES.SHOPPING).put(updated));
+        queueChange(transaction, STORES.SHOPPING, 'put', updated);
+
+        if (updated.bought) await syncPurchase(transaction, updated);
+        return updated.id;
+    });
+}
+
+/**
+ * Si un producto baja de su stock mínimo lo apunta en la lista de la compra, dentro de la
+ * transacción que lo cambia (con PRODUCTS, SHOPPING e HISTORY). Solo al cruzar el mínimo:
+ * si ya estaba por debajo no se vuelve a apuntar, por si el usuario lo quitó de la lista;
+ * solo se actualiza la cantidad que falta del item añadido automáticamente si sigue pendiente.
+ * No duplica: si ya hay un item pendiente con el mismo nombre se respeta.
+ * @param {IDBTransaction} transaction - Transacción con PRODUCTS, SHOPPING e HISTORY
+ * @param {Object|null} previous - Producto antes del cambio
+ * @param {Object} product - Producto tras el cambio
+ * @param {number} remaining - Cantidad que queda (0 si se eliminó)
+ * @returns {Promise<number|null>} ID del item de la compra o null si no se apuntó nada
+ */
+async function restockIfLow(transaction, previous, product, remaining = product.quantity) {
+    const minimum = Number(product.minQuantity) || 0;
+    if (minimum <= 0 || remaining >= minimum) return null;
+
+    const store = transaction.objectStore(STORES.SHOPPING);
+    const list = await requestToPromise(store.getAll());
+    const quantity = formatQuantity(roundQuantity(minimum - remaining), product.unit);
+
+    const automatic = list.find(item => item.productId === product.id && item.lowStock && !item.bought);
+
+    if (automatic) {
+        if (automatic.quantity !== quantity) {
+            const updated = {
+                ...automatic,
+                quantity,
+                ...parseShoppingQuantity(quantity),
+                updatedAt: new Date().toISOString()
+            };
+            await requestToPromise(store.put(updated));
+            queueChange(transaction, STORES.SHOPPING, 'put', updated);
+        }
+        return automatic.id;
+    }
+
+    const wasLow = previous && previous.quantity < (Number(previous.minQuantity) || 0);
+    if (wasLow) return null;
+
+    const name = normalizeText(product.name);
+    const pending = list.find(item => !item.bought && normalizeText(item.name) === name);
+    if (pending) return pending.id;
+
+    const parsed = parseShoppingQuantity(quantity);
+    const { id } = await putShoppingItem(transaction, {
+        name: product.name,
+        quantity,
+        ...parsed,
+        category: product.category,
+        price: product.price > 0 && parsed.unit ? convertUnitPrice(product.price, product.unit, parsed.unit, product.packageSize) : null,
+        store: product.store || '',
+        productId: product.id,
+        lowStock: true
+    });
+
+    return id;
+}
+
+/**
+ * Aplica el stock mínimo a lo que el Service Worker sacó del inventario desde una
+ * notificación: allí solo se anota y aquí se apunta en la compra como con restockIfLow
+ * @returns {Promise<number>} Items apuntados o actualizados
+ */
+export async function applyPendingRestocks() {
+    // Se lee antes sin escribir: cada escritura avisa a las demás ventanas, que también lo aplican
+    const pending = await new Promise((resolve, reject) => {
+        try {
+            const request = getStore(STORES.SETTINGS).get(PENDING_RESTOCK_KEY);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+
+    if (!pending?.items?.length) return 0;
+
+    return runTransaction([STORES.SETTINGS, STORES.PRODUCTS, STORES.SHOPPING, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const settings = transaction.objectStore(STORES.SETTINGS);
+        const current = await requestToPromise(settings.get(PENDING_RESTOCK_KEY));
+        let restocked = 0;
+
+        for (const { product, remaining } of current?.items || []) {
+            if (await restockIfLow(transaction, product, product, remaining)) restocked++;
+        }
+
+        await requestToPromise(settings.delete(PENDING_RESTOCK_KEY));
+        return restocked;
+    });
+}
+
+
+export async function getShoppingList() {
     return new Promise((resolve, reject) => {
         try {
-            const store = getStore(STORES.SHOPPING, 'readwrite');
-            const request = store.delete(id);
+            const store = getStore(STORES.SHOPPING);
+            const request = store.getAll();
 
-            request.onsuccess = () => resolve(true);
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         } catch (error) {
             reject(error);
@@ -287,34 +1251,1243 @@ export async function deleteShoppingItem(id) {
 }
 
 
-export async function clearBoughtItems() {
-    const items = await getShoppingList();
-    const boughtItems = items.filter(item => item.bought);
-    
-    const deletePromises = boughtItems.map(item => deleteShoppingItem(item.id));
-    
-    return Promise.all(deletePromises);
+/**
+ * Marca o desmarca un item como comprado. Si tiene precio, la compra queda en el historial.
+ */
+export async function toggleShoppingItem(id, bought) {
+    return runTransaction([STORES.SHOPPING, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.SHOPPING);
+        const item = await requestToPromise(store.get(id));
+        if (!item) throw new Error('Item no encontrado');
+
+        const updated = { ...item, bought };
+        await requestToPromise(store.put(updated));
+        queueChange(transaction, STORES.SHOPPING, 'put', updated);
+        await syncPurchase(transaction, updated);
+        return true;
+    });
+}
+
+
+/**
+ * Mantiene el evento de compra de un item al día: uno por item comprado con precio.
+ * Al desmarcarlo o quitarle el precio el evento desaparece.
+ */
+async function syncPurchase(transaction, item) {
+    const historyStore = transaction.objectStore(STORES.HISTORY);
+    const previous = (await requestToPromise(historyStore.getAll()))
+        .filter(event => event.type === HISTORY_TYPES.PURCHASED && event.itemId === item.id);
+
+    for (const event of previous) {
+        await requestToPromise(historyStore.delete(event.id));
+        queueChange(transaction, STORES.HISTORY, 'delete', event);
+    }
+
+    const total = getItemTotal(item);
+    if (!item.bought || total === null) return;
+
+    const event = withSyncId({
+        type: HISTORY_TYPES.PURCHASED,
+        itemId: item.id,
+        productId: item.productId ?? null,
+        product: { name: item.name, category: item.category || FALLBACK_CATEGORY },
+        quantity: item.amount || 1,
+        unit: item.unit || 'unidad',
+        price: item.price,
+        total,
+        store: item.store || '',
+        timestamp: previous[0]?.timestamp || new Date().toISOString()
+    });
+    const id = await requestToPromise(historyStore.add(event));
+    queueChange(transaction, STORES.HISTORY, 'put', { ...event, id });
+}
+
+
+/**
+ * Elimina un item de la lista enviándolo a la papelera
+ * @returns {Promise<number|null>} ID en la papelera
+ */
+export async function deleteShoppingItem(id) {
+    return runTransaction([STORES.SHOPPING, STORES.TRASH], 'readwrite', (transaction) =>
+        moveRecordToTrash(transaction, STORES.SHOPPING, id)
+    );
+}
+
+/**
+ * Envía a la papelera todos los items comprados
+ * @returns {Promise<number[]>} IDs en la papelera
+ */
+export async function clearBoughtItems(listId) {
+    return runTransaction([STORES.SHOPPING, STORES.TRASH], 'readwrite', async (transaction) => {
+        const items = await requestToPromise(transaction.objectStore(STORES.SHOPPING).getAll());
+        const trashIds = [];
+        const inList = (item) => listId === undefined || (item.listId ?? null) === listId;
+
+        for (const item of items.filter(item => item.bought && inList(item))) {
+            trashIds.push(await moveRecordToTrash(transaction, STORES.SHOPPING, item.id));
+        }
+
+        return trashIds;
+    });
 }
 
 
-export async function moveToInventory(shoppingItem, productDetails) {
-    
-    const product = {
-        name: shoppingItem.name,
-        quantity: productDetails.quantity || 1,
-        unit: productDetails.unit || 'unidad',
-        category: productDetails.category || 'otros',
-        expiryDate: productDetails.expiryDate || null,
-        notes: productDetails.notes || ''
+/**
+ * Crea el producto de inventario que corresponde a un item comprado
+ */
+function buildProductFromItem(item, details = {}) {
+    const unit = details.unit || 'unidad';
+
+    return {
+        name: details.name || item.name,
+        quantity: details.quantity || 1,
+        unit,
+        category: details.category || FALLBACK_CATEGORY,
+        expiryDate: details.expiryDate || null,
+        location: details.location ?? null,
+        notes: details.notes || '',
+        // El precio del item es por su unidad; el producto lo guarda por la suya
+        price: item.price > 0 ? convertUnitPrice(item.price, item.unit || 'unidad', unit) : null,
+        store: item.store || ''
     };
+}
+
+/**
+ * Pasa items comprados al inventario y los quita de la lista en una sola
+ * transacción: si algo falla no se guarda ningún producto ni se borra ningún item.
+ * @param {Array} entries - [{ item, details: { quantity, unit, category, expiryDate }, mergeWith }]
+ *   mergeWith es el ID de un producto igual al que sumar la cantidad; si su unidad no se
+ *   puede convertir a la de la compra se guarda como producto aparte
+ * @returns {Promise<Array>} Productos creados o actualizados
+ */
+export async function moveItemsToInventory(entries) {
+    return runTransaction([STORES.PRODUCTS, STORES.SHOPPING], 'readwrite', async (transaction) => {
+        const productStore = transaction.objectStore(STORES.PRODUCTS);
+        const shoppingStore = transaction.objectStore(STORES.SHOPPING);
+        const now = new Date().toISOString();
+        const saved = [];
 
-    await addProduct(product);
-    
-    
-    await deleteShoppingItem(shoppingItem.id);
-    
+        for (const { item, details, mergeWith = null } of entries) {
+            const product = buildProductFromItem(item, details);
+            const stored = mergeWith ? await requestToPromise(productStore.get(mergeWith)) : null;
+            const target = stored && areUnitsCompatible(product.unit, stored.unit, stored.packageSize || product.packageSize)
+                ? stored
+                : null;
+
+            if (target) {
+                const price = product.price && convertUnitPrice(product.price, product.unit, target.unit, target.packageSize);
+                const merged = {
+                    ...mergeProducts(target, [normalizeProductLots(product)]),
+                    price: price || target.price || null,
+                    store: product.store || target.store || '',
+                    updatedAt: now
+                };
+                await requestToPromise(productStore.put(merged));
+                queueChange(transaction, STORES.PRODUCTS, 'put', merged);
+                saved.push(merged);
+            } else {
+                const created = withSyncId(normalizeProductLots({ ...product, createdAt: now, updatedAt: now }));
+                created.id = await requestToPromise(productStore.add(created));
+                queueChange(transaction, STORES.PRODUCTS, 'put', created);
+                saved.push(created);
+            }
+
+            await requestToPromise(shoppingStore.delete(item.id));
+            queueChange(transaction, STORES.SHOPPING, 'delete', item);
+        }
+
+        return saved;
+    });
+}
+
+/**
+ * Pasa un item comprado al inventario
+ * @param {Object} shoppingItem - Item de la lista
+ * @param {Object} productDetails - { quantity, unit, category, expiryDate, notes }
+ * @param {Object} options - { mergeWith: ID de un producto igual al que sumarlo }
+ * @returns {Promise<Object>} Producto creado o actualizado
+ */
+export async function moveToInventory(shoppingItem, productDetails, { mergeWith = null } = {}) {
+    const [product] = await moveItemsToInventory([{ item: shoppingItem, details: productDetails, mergeWith }]);
     return product;
 }
 
 
-export { STORES };
+/**
+ * Obtiene las ubicaciones ordenadas
+ */
+export async function getLocations() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.LOCATIONS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.order - b.order));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Crea una ubicación al final de la lista
+ * @param {Object} location - { name, icon }
+ * @returns {Promise<number>} ID de la ubicación
+ */
+export async function addLocation(location) {
+    return runTransaction([STORES.LOCATIONS], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.LOCATIONS);
+        const existing = await requestToPromise(store.getAll());
+        const order = existing.reduce((max, item) => Math.max(max, item.order + 1), 0);
+
+        const created = withSyncId({
+            name: location.name,
+            icon: location.icon || '📍',
+            order,
+            createdAt: new Date().toISOString()
+        });
+        const id = await requestToPromise(store.add(created));
+        queueChange(transaction, STORES.LOCATIONS, 'put', { ...created, id });
+        return id;
+    });
+}
+
+
+export async function updateLocation(location) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.LOCATIONS, 'readwrite');
+            const updated = { ...location, updatedAt: new Date().toISOString() };
+            const request = store.put(updated);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.LOCATIONS, 'put', updated);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Elimina una ubicación; sus productos quedan sin ubicación
+ * @param {number} id - ID de la ubicación
+ * @returns {Promise<number>} Productos afectados
+ */
+export async function deleteLocation(id) {
+    return runTransaction([STORES.LOCATIONS, STORES.PRODUCTS], 'readwrite', async (transaction) => {
+        const productStore = transaction.objectStore(STORES.PRODUCTS);
+        const products = await requestToPromise(productStore.index('location').getAll(id));
+        const now = new Date().toISOString();
+
+        for (const product of products) {
+            const updated = {
+                ...product,
+                location: null,
+                movedAt: now,
+                locationHistory: [...(product.locationHistory || []), { from: id, to: null, movedAt: now }],
+                updatedAt: now
+            };
+            await requestToPromise(productStore.put(updated));
+            queueChange(transaction, STORES.PRODUCTS, 'put', updated);
+        }
+
+        await deleteRecord(transaction, STORES.LOCATIONS, id);
+        return products.length;
+    });
+}
+
+
+/**
+ * Obtiene las categorías en el orden elegido por el usuario
+ */
+export async function getCategories() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.CATEGORIES);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.order - b.order));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Crea una categoría al final de la lista. La clave se genera a partir del nombre.
+ * @param {Object} category - { name, icon }
+ * @returns {Promise<string>} Clave de la categoría
+ */
+export async function addCategory(category) {
+    return runTransaction([STORES.CATEGORIES], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.CATEGORIES);
+        const existing = await requestToPromise(store.getAll());
+        const name = category.name.trim();
+
+        if (existing.some(item => normalizeText(item.name) === normalizeText(name))) {
+            throw new Error('Ya existe una categoría con ese nombre');
+        }
+
+        const base = normalizeText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'categoria';
+        let key = base;
+        for (let n = 2; existing.some(item => item.key === key); n++) {
+            key = `${base}-${n}`;
+        }
+
+        const created = withSyncId({
+            key,
+            name,
+            icon: category.icon || CATEGORY_ICONS[FALLBACK_CATEGORY],
+            order: existing.reduce((max, item) => Math.max(max, item.order + 1), 0),
+            createdAt: new Date().toISOString()
+        });
+        await requestToPromise(store.add(created));
+        queueChange(transaction, STORES.CATEGORIES, 'put', created);
+        return key;
+    });
+}
+
+/**
+ * Cambia nombre o icono de una categoría (la clave no cambia)
+ */
+export async function updateCategory(category) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.CATEGORIES, 'readwrite');
+            const updated = { ...category, updatedAt: new Date().toISOString() };
+            const request = store.put(updated);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.CATEGORIES, 'put', updated);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Guarda un nuevo orden de categorías
+ * @param {string[]} keys - Claves en el orden deseado
+ */
+export async function reorderCategories(keys) {
+    return runTransaction([STORES.CATEGORIES], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.CATEGORIES);
+        const now = new Date().toISOString();
+
+        for (const [order, key] of keys.entries()) {
+            const category = await requestToPromise(store.get(key));
+            if (category && category.order !== order) {
+                const updated = { ...category, order, updatedAt: now };
+                await requestToPromise(store.put(updated));
+                queueChange(transaction, STORES.CATEGORIES, 'put', updated);
+            }
+        }
+    });
+}
+
+/**
+ * Elimina una categoría y pasa sus productos a la categoría de reserva
+ * @param {string} key - Clave de la categoría
+ * @returns {Promise<number>} Productos reasignados
+ */
+export async function deleteCategory(key) {
+    if (key === FALLBACK_CATEGORY) {
+        throw new Error('La categoría de reserva no se puede eliminar');
+    }
+
+    return runTransaction([STORES.CATEGORIES, STORES.PRODUCTS], 'readwrite', async (transaction) => {
+        const productStore = transaction.objectStore(STORES.PRODUCTS);
+        const products = await requestToPromise(productStore.index('category').getAll(key));
+        const now = new Date().toISOString();
+
+        for (const product of products) {
+            const updated = {
+                ...product,
+                category: FALLBACK_CATEGORY,
+                updatedAt: now
+            };
+            await requestToPromise(productStore.put(updated));
+            queueChange(transaction, STORES.PRODUCTS, 'put', updated);
+        }
+
+        await deleteRecord(transaction, STORES.CATEGORIES, key);
+        return products.length;
+    });
+}
+
+
+/**
+ * Mueve un item a otra lista. Si allí ya está pendiente se suman las cantidades.
+ * @param {number} id - ID del item
+ * @param {number|null} listId - Lista de destino (null para la principal)
+ * @returns {Promise<number>} ID del item en la lista de destino
+ */
+export async function moveShoppingItem(id, listId) {
+    return runTransaction([STORES.SHOPPING], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.SHOPPING);
+        const item = await requestToPromise(store.get(id));
+        if (!item) throw new Error('Item no encontrado');
+
+        const now = new Date().toISOString();
+        const target = (await requestToPromise(store.getAll()))
+            .filter(listItem => listItem.id !== id && (listItem.listId ?? null) === listId);
+        const existing = item.bought ? null : findShoppingMatch(target, item.name);
+        const merged = existing ? mergeShoppingQuantities(existing, item) : null;
+
+        if (merged) {
+            const updated = { ...merged, updatedAt: now };
+            await requestToPromise(store.put(updated));
+            queueChange(transaction, STORES.SHOPPING, 'put', updated);
+            await requestToPromise(store.delete(id));
+            queueChange(transaction, STORES.SHOPPING, 'delete', item);
+            return existing.id;
+        }
+
+        const moved = { ...item, listId, updatedAt: now };
+        await requestToPromise(store.put(moved));
+        queueChange(transaction, STORES.SHOPPING, 'put', moved);
+        return id;
+    });
+}
+
+
+/**
+ * Obtiene las listas de la compra con nombre (la principal no se guarda como registro)
+ */
+export async function getShoppingLists() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.LISTS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name, 'es')));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+export async function addShoppingList(list) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.LISTS, 'readwrite');
+            const created = withSyncId({
+                name: list.name,
+                createdAt: new Date().toISOString()
+            });
+            const request = store.add(created);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.LISTS, 'put', { ...created, id: request.result });
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+export async function updateShoppingList(list) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.LISTS, 'readwrite');
+            const updated = { ...list, updatedAt: new Date().toISOString() };
+            const request = store.put(updated);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.LISTS, 'put', updated);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+/**
+ * Elimina una lista. Sus items (y los recurrentes que iban a ella) pasan a la lista principal.
+ * @returns {Promise<number>} Número de items movidos
+ */
+export async function deleteShoppingList(id) {
+    return runTransaction([STORES.LISTS, STORES.SHOPPING, STORES.RECURRING], 'readwrite', async (transaction) => {
+        const shoppingStore = transaction.objectStore(STORES.SHOPPING);
+        const recurringStore = transaction.objectStore(STORES.RECURRING);
+        const items = (await requestToPromise(shoppingStore.getAll())).filter(item => item.listId === id);
+        const recurring = (await requestToPromise(recurringStore.getAll())).filter(entry => entry.listId === id);
+        const now = new Date().toISOString();
+
+        for (const item of items) {
+            const moved = { ...item, listId: null, updatedAt: now };
+            await requestToPromise(shoppingStore.put(moved));
+            queueChange(transaction, STORES.SHOPPING, 'put', moved);
+        }
+
+        for (const entry of recurring) {
+            const moved = { ...entry, listId: null, updatedAt: now };
+            await requestToPromise(recurringStore.put(moved));
+            queueChange(transaction, STORES.RECURRING, 'put', moved);
+        }
+
+        await deleteRecord(transaction, STORES.LISTS, id);
+        return items.length;
+    });
+}
+
+
+/**
+ * Obtiene las plantillas de lista ordenadas por nombre
+ */
+export async function getTemplates() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.TEMPLATES);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name, 'es')));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+/**
+ * Guarda una plantilla con los items indicados. Si ya hay una con el mismo nombre se reemplaza.
+ * @param {string} name - Nombre ("Compra semanal")
+ * @param {Array} items - Items de la lista (se guardan nombre, cantidad, categoría, precio y tienda)
+ * @returns {Promise<number>} ID de la plantilla
+ */
+export async function saveTemplate(name, items) {
+    return runTransaction([STORES.TEMPLATES], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.TEMPLATES);
+        const existing = (await requestToPromise(store.getAll()))
+            .find(template => normalizeText(template.name) === normalizeText(name));
+        const now = new Date().toISOString();
+
+        const template = withSyncId({
+            ...(existing || { createdAt: now }),
+            name,
+            items: items.map(item => ({
+                name: item.name,
+                quantity: item.quantity || '',
+                category: item.category || null,
+                price: item.price ?? null,
+                store: item.store || ''
+            })),
+            updatedAt: now
+        });
+        const id = await requestToPromise(store.put(template));
+        queueChange(transaction, STORES.TEMPLATES, 'put', { ...template, id });
+        return id;
+    });
+}
+
+
+export async function deleteTemplate(id) {
+    return runTransaction([STORES.TEMPLATES], 'readwrite', async (transaction) => {
+        await deleteRecord(transaction, STORES.TEMPLATES, id);
+        return true;
+    });
+}
+
+
+/**
+ * Añade a una lista todos los items de una plantilla. Los que ya están pendientes no se repiten.
+ * @param {number} id - ID de la plantilla
+ * @param {number|null} listId - Lista de destino
+ * @returns {Promise<Object>} { added, skipped }
+ */
+export async function applyTemplate(id, listId = null) {
+    return runTransaction([STORES.TEMPLATES, STORES.SHOPPING, STORES.PRODUCTS, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const template = await requestToPromise(transaction.objectStore(STORES.TEMPLATES).get(id));
+        if (!template) throw new Error('Plantilla no encontrada');
+
+        const result = { added: 0, skipped: 0 };
+
+        for (const item of template.items) {
+            const { skipped } = await putShoppingItem(transaction, { ...item, listId }, { skipPending: true });
+            result[skipped ? 'skipped' : 'added']++;
+        }
+
+        return result;
+    });
+}
+
+
+/**
+ * Obtiene los items recurrentes, los próximos primero
+ */
+export async function getRecurringItems() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.RECURRING);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.nextDue.localeCompare(b.nextDue)));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+/**
+ * Crea un item recurrente ("pan cada 2 días")
+ * @param {Object} entry - { name, quantity, every, period, listId, startDate }
+ *   startDate es la primera vez que aparece en la lista (hoy si no se indica)
+ * @returns {Promise<number>} ID
+ */
+export async function addRecurringItem(entry) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.RECURRING, 'readwrite');
+            const created = withSyncId({
+                name: entry.name,
+                quantity: entry.quantity || '',
+                category: entry.category || null,
+                every: entry.every || 1,
+                period: entry.period || 'day',
+                listId: entry.listId ?? null,
+                nextDue: entry.startDate || getTodayISO(),
+                anchorDay: Number((entry.startDate || getTodayISO()).slice(8, 10)),
+                createdAt: new Date().toISOString()
+            });
+            const request = store.add(created);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.RECURRING, 'put', { ...created, id: request.result });
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+export async function deleteRecurringItem(id) {
+    return runTransaction([STORES.RECURRING], 'readwrite', async (transaction) => {
+        await deleteRecord(transaction, STORES.RECURRING, id);
+        return true;
+    });
+}
+
+
+/**
+ * Pone en su lista los items recurrentes que tocan hoy (o se pasaron) y calcula
+ * la siguiente fecha. Si el item sigue pendiente en la lista no se duplica.
+ * @param {string} today - Fecha YYYY-MM-DD
+ * @returns {Promise<Object>} { added: [nombres], skipped }
+ */
+export async function addDueRecurringItems(today = getTodayISO()) {
+    return runTransaction([STORES.RECURRING, STORES.SHOPPING, STORES.PRODUCTS, STORES.HISTORY], 'readwrite', async (transaction) => {
+        const recurringStore = transaction.objectStore(STORES.RECURRING);
+        const due = (await requestToPromise(recurringStore.getAll())).filter(entry => entry.nextDue <= today);
+        const result = { added: [], skipped: 0 };
+
+        for (const entry of due) {
+            const { skipped } = await putShoppingItem(transaction, {
+                name: entry.name,
+                quantity: entry.quantity,
+                category: entry.category,
+                listId: entry.listId,
+                recurringId: entry.id
+            }, { skipPending: true });
+
+            if (skipped) {
+                result.skipped++;
+            } else {
+                result.added.push(entry.name);
+            }
+
+            // Se avanza desde la fecha que tocaba para no desplazar el día; si la app
+            // no se abrió en días se saltan las repeticiones pasadas sin acumularlas
+            const anchorDay = entry.anchorDay || Number(entry.nextDue.slice(8, 10));
+            let nextDue = entry.nextDue;
+
+            while (nextDue <= today) {
+                nextDue = getNextDueDate(nextDue, entry.every, entry.period, anchorDay);
+            }
+
+            const updated = { ...entry, anchorDay, nextDue };
+            await requestToPromise(recurringStore.put(updated));
+            queueChange(transaction, STORES.RECURRING, 'put', updated);
+        }
+
+        return result;
+    });
+}
+
+
+/**
+ * Obtiene las tiendas ordenadas por nombre
+ */
+export async function getShops() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.SHOPS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.name.localeCompare(b.name, 'es')));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Crea una tienda con el orden de pasillos indicado (por defecto el de las categorías)
+ * @param {Object} shop - { name, aisleOrder }
+ * @returns {Promise<number>} ID de la tienda
+ */
+export async function addShop(shop) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.SHOPS, 'readwrite');
+            const created = withSyncId({
+                name: shop.name,
+                aisleOrder: shop.aisleOrder || [],
+                createdAt: new Date().toISOString()
+            });
+            const request = store.add(created);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.SHOPS, 'put', { ...created, id: request.result });
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+export async function updateShop(shop) {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.SHOPS, 'readwrite');
+            const updated = { ...shop, updatedAt: new Date().toISOString() };
+            const request = store.put(updated);
+
+            request.onsuccess = () => {
+                queueChange(store.transaction, STORES.SHOPS, 'put', updated);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+
+export async function deleteShop(id) {
+    return runTransaction([STORES.SHOPS], 'readwrite', async (transaction) => {
+        await deleteRecord(transaction, STORES.SHOPS, id);
+        return true;
+    });
+}
+
+
+/**
+ * Obtiene el contenido de la papelera, lo más reciente primero
+ */
+export async function getTrash() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.TRASH);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(
+                request.result.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+            );
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Devuelve registros de la papelera a su store original
+ * @param {number|number[]} trashIds - ID o IDs en la papelera
+ * @returns {Promise<Array>} Registros restaurados
+ */
+export async function restoreFromTrash(trashIds) {
+    return runTransaction([STORES.TRASH, ...TRASHABLE_STORES], 'readwrite', async (transaction) =>
+        (await restoreTrashEntries(transaction, trashIds)).map(({ record }) => record)
+    );
+}
+
+/**
+ * Restaura entradas de la papelera dentro de una transacción con TRASH y sus stores de origen
+ * @returns {Promise<Array>} [{ previousId, record }] record con el id que tiene ahora
+ */
+async function restoreTrashEntries(transaction, trashIds) {
+    const ids = [].concat(trashIds).filter(id => id !== null && id !== undefined);
+    const trashStore = transaction.objectStore(STORES.TRASH);
+    const restored = [];
+
+    for (const trashId of ids) {
+        const entry = await requestToPromise(trashStore.get(trashId));
+        if (!entry) continue;
+
+        const store = transaction.objectStore(entry.store);
+        const occupied = await requestToPromise(store.get(entry.record.id));
+        let record = entry.record;
+
+        if (occupied) {
+            // El id se reutilizó: se restaura como registro nuevo
+            const { id, ...rest } = entry.record;
+            record = { ...rest, id: await requestToPromise(store.add(rest)) };
+        } else {
+            await requestToPromise(store.put(entry.record));
+        }
+
+        queueChange(transaction, entry.store, 'put', record);
+        await requestToPromise(trashStore.delete(trashId));
+        restored.push({ previousId: entry.record.id, record });
+    }
+
+    return restored;
+}
+
+/**
+ * Borra definitivamente registros de la papelera
+ * @param {number|number[]} trashIds - ID o IDs en la papelera
+ */
+export async function purgeFromTrash(trashIds) {
+    const ids = [].concat(trashIds);
+
+    return runTransaction([STORES.TRASH], 'readwrite', async (transaction) => {
+        const trashStore = transaction.objectStore(STORES.TRASH);
+
+        for (const trashId of ids) {
+            await requestToPromise(trashStore.delete(trashId));
+        }
+
+        return ids.length;
+    });
+}
+
+/**
+ * Vacía la papelera
+ */
+export async function emptyTrash() {
+    return runTransaction([STORES.TRASH], 'readwrite', (transaction) =>
+        requestToPromise(transaction.objectStore(STORES.TRASH).clear())
+    );
+}
+
+/**
+ * Borra definitivamente lo que lleva en la papelera más de N días
+ * @param {number} days - Días de retención
+ * @returns {Promise<number>} Registros eliminados
+ */
+export async function purgeExpiredTrash(days) {
+    const limit = new Date();
+    limit.setDate(limit.getDate() - days);
+
+    return runTransaction([STORES.TRASH], 'readwrite', async (transaction) => {
+        const index = transaction.objectStore(STORES.TRASH).index('deletedAt');
+        const keys = await requestToPromise(
+            index.getAllKeys(IDBKeyRange.upperBound(limit.toISOString(), true))
+        );
+
+        for (const key of keys) {
+            await requestToPromise(transaction.objectStore(STORES.TRASH).delete(key));
+        }
+
+        return keys.length;
+    });
+}
+
+
+/**
+ * Guarda un ajuste compartido con el Service Worker (que no puede leer localStorage)
+ * @param {string} key - Clave del ajuste
+ * @param {Object} changes - Campos a cambiar; los demás se conservan
+ * @returns {Promise<Object>} Ajuste guardado
+ */
+export async function saveSetting(key, changes) {
+    return runTransaction([STORES.SETTINGS], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(STORES.SETTINGS);
+        const current = await requestToPromise(store.get(key));
+        const updated = { ...current, ...changes, key };
+
+        await requestToPromise(store.put(updated));
+        return updated;
+    });
+}
+
+/**
+ * Ajustes de sincronización (también los actualiza el Service Worker: cursor y último resultado)
+ * @returns {Promise<Object|null>} { endpoint, deviceId, cursor, lastSyncAt, lastError } o null si no está activa
+ */
+export async function getSyncSettings() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.SETTINGS);
+            const request = store.get(SYNC_SETTINGS_KEY);
+
+            request.onsuccess = () => {
+                syncSettings = request.result?.endpoint ? request.result : null;
+                resolve(syncSettings);
+            };
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Activa la sincronización con un servidor REST o cambia de servidor.
+ * El servidor nuevo no tiene nada de este dispositivo: se encolan todos los registros.
+ * @param {string} endpoint - URL base; los cambios se envían y piden en {endpoint}/changes
+ * @returns {Promise<Object>} Ajustes guardados
+ */
+export async function enableSync(endpoint) {
+    const url = String(endpoint ?? '').trim().replace(/\/+$/, '');
+
+    if (!/^https?:\/\/[^/]+/i.test(url)) {
+        throw new Error('La dirección del servidor debe empezar por http:// o https://');
+    }
+
+    const settings = await runTransaction([STORES.SETTINGS, STORES.OUTBOX, ...SYNC_STORES], 'readwrite', async (transaction) => {
+        const settingsStore = transaction.objectStore(STORES.SETTINGS);
+        const current = await requestToPromise(settingsStore.get(SYNC_SETTINGS_KEY));
+
+        if (current?.endpoint === url) return current;
+
+        const updated = {
+            key: SYNC_SETTINGS_KEY,
+            endpoint: url,
+            deviceId: current?.deviceId || createSyncId(),
+            cursor: 0,
+            lastSyncAt: null,
+            lastError: null
+        };
+        settingsStore.put(updated);
+
+        const outbox = transaction.objectStore(STORES.OUTBOX);
+        await requestToPromise(outbox.clear());
+
+        for (const storeName of SYNC_STORES) {
+            const store = transaction.objectStore(storeName);
+            const records = await requestToPromise(store.getAll());
+            records.forEach(record => outbox.add(createOutboxEntry(storeName, store.keyPath, 'put', record)));
+        }
+
+        return updated;
+    });
+
+    syncSettings = settings;
+    outboxListener?.();
+    return settings;
+}
+
+/**
+ * Desactiva la sincronización. Los cambios sin subir se descartan.
+ */
+export async function disableSync() {
+    await runTransaction([STORES.SETTINGS, STORES.OUTBOX], 'readwrite', async (transaction) => {
+        transaction.objectStore(STORES.SETTINGS).delete(SYNC_SETTINGS_KEY);
+        transaction.objectStore(STORES.OUTBOX).clear();
+    });
+
+    syncSettings = null;
+}
+
+/**
+ * Número de cambios pendientes de subir
+ */
+export async function getOutboxCount() {
+    return new Promise((resolve, reject) => {
+        try {
+            const store = getStore(STORES.OUTBOX);
+            const request = store.count();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Escucha los cambios que hacen las demás ventanas de la app
+ * @param {Function} callback - Recibe los nombres de los stores modificados
+ */
+export function onExternalChange(callback) {
+    changesChannel?.addEventListener('message', (event) => {
+        if (Array.isArray(event.data?.stores)) callback(event.data.stores);
+    });
+}
+
+/**
+ * Función a la que avisar cuando una transacción deja cambios en la bandeja de salida
+ * @param {Function} listener - Recibe el número de cambios anotados
+ */
+export function setOutboxListener(listener) {
+    outboxListener = listener;
+}
+
+
+/**
+ * Convierte una petición de IndexedDB en promesa
+ * @param {IDBRequest} request - Petición a esperar
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ejecuta varias operaciones en una única transacción.
+ * Si algo falla se aborta todo, así no quedan datos a medias.
+ * @param {string[]} storeNames - Stores implicados
+ * @param {string} mode - 'readonly' o 'readwrite'
+ * @param {Function} work - Recibe la transacción; su resultado se devuelve al completar
+ */
+function runTransaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+        let result;
+        let transaction;
+
+        try {
+            transaction = openTransaction(storeNames, mode);
+        } catch (error) {
+            reject(error);
+            return;
+        }
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transacción cancelada'));
+
+        Promise.resolve()
+            .then(() => work(transaction))
+            .then((value) => { result = value; })
+            .catch((error) => {
+                reject(error);
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // La transacción ya había terminado
+                }
+            });
+    });
+}
+
+/**
+ * Exporta todos los datos (inventario y compras) a un objeto serializable
+ * @returns {Promise<Object>} Copia de seguridad versionada
+ */
+export async function exportDatabase() {
+    const storeNames = Object.keys(BACKUP_STORES);
+
+    return runTransaction(storeNames, 'readonly', async (transaction) => {
+        const stores = {};
+
+        for (const storeName of storeNames) {
+            stores[storeName] = await requestToPromise(
+                transaction.objectStore(storeName).getAll()
+            );
+        }
+
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            dbVersion: DB_VERSION,
+            exportedAt: new Date().toISOString(),
+            stores
+        };
+    });
+}
+
+/**
+ * Comprueba que un objeto sea una copia de seguridad válida
+ * @param {Object} data - Contenido del archivo ya parseado
+ * @throws {Error} Con la lista de problemas encontrados
+ */
+export function validateBackup(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('El archivo no contiene una copia de seguridad');
+    }
+
+    if (data.format !== BACKUP_FORMAT) {
+        errors.push('Formato de archivo desconocido');
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        errors.push('Versión de copia no válida');
+    } else if (data.version > BACKUP_VERSION) {
+        errors.push(`La copia es de una versión más reciente (${data.version}) que la app (${BACKUP_VERSION})`);
+    }
+
+    if (data.dbVersion !== undefined && (!Number.isInteger(data.dbVersion) || data.dbVersion > DB_VERSION)) {
+        errors.push('La copia se hizo con una versión más reciente de la app');
+    }
+
+    if (!data.stores || typeof data.stores !== 'object') {
+        errors.push('La copia no contiene datos');
+    } else {
+        Object.entries(BACKUP_STORES).forEach(([storeName, requiredField]) => {
+            const records = data.stores[storeName];
+
+            if (records === undefined) return;
+
+            if (!Array.isArray(records)) {
+                errors.push(`"${storeName}" debe ser una lista`);
+                return;
+            }
+
+            records.forEach((record, index) => {
+                if (!record || typeof record !== 'object') {
+                    errors.push(`${storeName}[${index}]: registro no válido`);
+                } else if (typeof record[requiredField] !== 'string' || !record[requiredField].trim()) {
+                    errors.push(`${storeName}[${index}]: falta "${requiredField}"`);
+                } else if (record.id !== undefined && !Number.isInteger(record.id)) {
+                    errors.push(`${storeName}[${index}]: id no válido`);
+                }
+            });
+        });
+    }
+
+    if (errors.length > 0) {
+        const extra = errors.length > 5 ? ` (y ${errors.length - 5} más)` : '';
+        throw new Error(errors.slice(0, 5).join('; ') + extra);
+    }
+
+    return true;
+}
+
+/**
+ * Fecha de creación de un registro (historial y papelera usan timestamp y deletedAt)
+ */
+function getRecordCreatedAt(record) {
+    return record.createdAt || record.timestamp || record.deletedAt;
+}
+
+/**
+ * Fecha de última modificación de un registro (los items de compra no tienen updatedAt)
+ */
+function getRecordTimestamp(record) {
+    return new Date(record.updatedAt || getRecordCreatedAt(record) || 0).getTime();
+}
+
+/**
+ * Cambia los ids de otros stores que se añadieron con un id nuevo al importar.
+ * Los registros de la papelera se tratan como los de su store de origen.
+ * @param {Object} newIds - { [store]: Map(id en la copia → id nuevo) }
+ */
+function remapReferences(storeName, record, newIds) {
+    if (storeName === STORES.TRASH && record.record) {
+        return { ...record, record: remapReferences(record.store, record.record, newIds) };
+    }
+
+    const remapped = { ...record };
+
+    Object.entries(BACKUP_REFERENCES[storeName] || {}).forEach(([field, target]) => {
+        if (newIds[target]?.has(record[field])) {
+            remapped[field] = newIds[target].get(record[field]);
+        }
+    });
+
+    return remapped;
+}
+
+/**
+ * Restaura una copia de seguridad
+ * @param {Object} data - Copia generada por exportDatabase
+ * @param {Object} options
+ * @param {string} options.mode - 'replace' borra los datos actuales, 'merge' los combina
+ * @returns {Promise<Object>} Resumen { [store]: { added, updated, skipped } }
+ */
+export async function importDatabase(data, { mode = 'merge' } = {}) {
+    validateBackup(data);
+
+    if (!['replace', 'merge'].includes(mode)) {
+        throw new Error(`Modo de importación desconocido: ${mode}`);
+    }
+
+    const storeNames = Object.keys(BACKUP_STORES);
+
+    return runTransaction(storeNames, 'readwrite', async (transaction) => {
+        const summary = {};
+        // { [store]: Map(id en la copia → id nuevo) } de los registros añadidos con otro id
+        const newIds = {};
+
+        for (const storeName of storeNames) {
+            const store = transaction.objectStore(storeName);
+            const records = upgradeRecords(storeName, data.stores[storeName] || [], data.dbVersion || 1)
+                .map(record => remapReferences(storeName, record, newIds));
+            const result = { added: 0, updated: 0, skipped: 0 };
+
+            newIds[storeName] = new Map();
+
+            if (mode === 'replace') {
+                await requestToPromise(store.clear());
+                queueChange(transaction, storeName, 'clear');
+            }
+
+            for (const record of records) {
+                const key = record[store.keyPath];
+                const existing = key !== undefined
+                    ? await requestToPromise(store.get(key))
+                    : undefined;
+
+                if (!existing) {
+                    await requestToPromise(store.put(record));
+                    queueChange(transaction, storeName, 'put', record);
+                    result.added++;
+                } else if (store.autoIncrement && getRecordCreatedAt(existing) !== getRecordCreatedAt(record)) {
+                    // Mismo id pero otro registro (otro dispositivo): se añade como nuevo
+                    const { id, ...withoutId } = record;
+                    const added = await requestToPromise(store.add(withoutId));
+                    newIds[storeName].set(id, added);
+                    queueChange(transaction, storeName, 'put', { ...withoutId, id: added });
+                    result.added++;
+                } else if (getRecordTimestamp(record) > getRecordTimestamp(existing)) {
+                    await requestToPromise(store.put(record));
+                    queueChange(transaction, storeName, 'put', record);
+                    result.updated++;
+                } else {
+                    result.skipped++;
+                }
+            }
+
+            summary[storeName] = result;
+        }
+
+        return summary;
+    });
+}
+
+
+export { STORES, HISTORY_TYPES };
@@ -0,0 +1,100 @@
+import { normalizeText } from './utils.js';
+import { normalizeProductLots } from './lots.js';
+import { areUnitsCompatible, convertQuantity } from './units.js';
+
+/**
+ * Detección y fusión de productos repetidos.
+ * Dos productos son el mismo si coinciden nombre (sin tildes ni mayúsculas),
+ * categoría y unidad (o unidades convertibles, como g y kg).
+ */
+
+
+/**
+ * Indica si dos productos se pueden fusionar
+ */
+export function isSameProduct(a, b) {
+    return normalizeText(a.name) === normalizeText(b.name)
+        && a.category === b.category
+        && areUnitsCompatible(a.unit, b.unit, a.packageSize || b.packageSize);
+}
+
+/**
+ * Busca en el inventario un producto igual al indicado
+ * @param {Array} products - Inventario
+ * @param {Object} product - Producto nuevo (puede no tener id)
+ * @returns {Object|null} Producto existente
+ */
+export function findDuplicate(products, product) {
+    return products.find(existing => existing.id !== product.id && isSameProduct(existing, product)) || null;
+}
+
+/**
+ * Agrupa los productos repetidos del inventario
+ * @param {Array} products - Inventario
+ * @returns {Array} [{ target, duplicates }] donde target es el más antiguo del grupo
+ */
+export function findDuplicateGroups(products) {
+    const sorted = [...products].sort((a, b) =>
+        new Date(a.createdAt || 0) - new Date(b.createdAt || 0) || a.id - b.id
+    );
+    const used = new Set();
+    const groups = [];
+
+    sorted.forEach(product => {
+        if (used.has(product.id)) return;
+
+        const duplicates = sorted.filter(other =>
+            other.id !== product.id && !used.has(other.id) && isSameProduct(product, other)
+        );
+
+        if (duplicates.length === 0) return;
+
+        used.add(product.id);
+        duplicates.forEach(duplicate => used.add(duplicate.id));
+        groups.push({ target: product, duplicates });
+    });
+
+    return groups;
+}
+
+/**
+ * Fusiona productos en uno: suma las cantidades y conserva cada lote con su caducidad.
+ * Las cantidades se convierten a la unidad del producto de destino.
+ * @param {Object} target - Producto que se conserva
+ * @param {Array} sources - Productos que se le añaden
+ * @returns {Object} Producto de destino con los lotes de todos
+ * @throws {Error} Si la unidad de algún producto no se puede convertir a la del destino
+ */
+export function mergeProducts(target, sources) {
+    const incompatible = sources.find(source =>
+        !areUnitsCompatible(source.unit, target.unit, target.packageSize || source.packageSize)
+    );
+
+    if (incompatible) {
+        throw new Error(`No se puede sumar ${incompatible.unit} a ${target.unit}`);
+    }
+
+    const lots = sources.flatMap(source =>
+        normalizeProductLots(source).lots.map(lot => ({
+            ...lot,
+            quantity: convertQuantity(lot.quantity, source.unit, target.unit, target.packageSize || source.packageSize)
+        }))
+    );
+
+    const notes = [target.notes, ...sources.map(source => source.notes)]
+        .map(note => (note || '').trim())
+        .filter((note, index, all) => note && all.indexOf(note) === index)
+        .join('\n');
+
+    const minimums = [target, ...sources].map(product =>
+        convertQuantity(Number(product.minQuantity) || 0, product.unit, target.unit, target.packageSize || product.packageSize) || 0
+    );
+
+    return normalizeProductLots({
+        ...target,
+        lots: [...normalizeProductLots(target).lots, ...lots],
+        notes,
+        minQuantity: Math.max(...minimums) || null,
+        packageSize: target.packageSize || sources.find(source => source.packageSize)?.packageSize || null
+    });
+}
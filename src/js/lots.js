@@ -0,0 +1,153 @@
+import { generateId, getDaysUntilExpiry } from './utils.js';
+import { roundQuantity } from './units.js';
+
+/**
+ * Un producto guarda sus existencias en lotes: { id, quantity, expiryDate, addedAt }.
+ * product.quantity y product.expiryDate se derivan de los lotes (total y caducidad
+ * más próxima) para que el índice 'expiryDate' y los listados sigan funcionando.
+ */
+
+
+/**
+ * Crea un lote nuevo
+ * @param {Object} data - { quantity, expiryDate, addedAt }
+ */
+export function createLot({ quantity = 1, expiryDate = null, addedAt } = {}) {
+    return {
+        id: generateId(),
+        quantity: roundQuantity(Number(quantity) || 0),
+        expiryDate: expiryDate || null,
+        addedAt: addedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Ordena lotes: primero el que caduca antes; los que no tienen fecha al final
+ */
+export function sortLots(lots) {
+    return [...lots].sort((a, b) => {
+        if (a.expiryDate !== b.expiryDate) {
+            if (!a.expiryDate) return 1;
+            if (!b.expiryDate) return -1;
+            return new Date(a.expiryDate) - new Date(b.expiryDate);
+        }
+        return new Date(a.addedAt || 0) - new Date(b.addedAt || 0);
+    });
+}
+
+/**
+ * Asegura que el producto tenga lotes y recalcula cantidad total y caducidad más próxima.
+ * Los productos antiguos (sin lotes) se convierten en un único lote.
+ * @param {Object} product - Producto a normalizar
+ * @returns {Object} Copia del producto normalizada
+ */
+export function normalizeProductLots(product) {
+    const lots = Array.isArray(product.lots)
+        ? product.lots.map(lot => ({
+            ...lot,
+            id: lot.id || generateId(),
+            quantity: roundQuantity(Number(lot.quantity) || 0),
+            expiryDate: lot.expiryDate || null,
+            addedAt: lot.addedAt || product.updatedAt || new Date().toISOString()
+        }))
+        : [createLot({
+            quantity: product.quantity ?? 1,
+            expiryDate: product.expiryDate,
+            addedAt: product.createdAt
+        })];
+
+    const sorted = sortLots(lots.filter(lot => lot.quantity > 0));
+
+    return {
+        ...product,
+        lots: sorted,
+        quantity: getLotsTotal(sorted),
+        expiryDate: sorted.find(lot => lot.expiryDate)?.expiryDate || null
+    };
+}
+
+/**
+ * Suma las cantidades de los lotes
+ */
+export function getLotsTotal(lots) {
+    return roundQuantity(lots.reduce((total, lot) => total + lot.quantity, 0));
+}
+
+/**
+ * Descuenta una cantidad empezando por el lote que caduca antes
+ * @param {Array} lots - Lotes del producto
+ * @param {number} amount - Cantidad a consumir
+ * @param {string} preferredLotId - Lote del que descontar primero (opcional)
+ * @returns {Object} { lots: lotes restantes, taken: [{ lotId, quantity, expiryDate, addedAt }], missing }
+ */
+export function consumeFromLots(lots, amount, preferredLotId = null) {
+    let pending = roundQuantity(amount);
+    const taken = [];
+    const ordered = sortLots(lots).sort((a, b) =>
+        (b.id === preferredLotId) - (a.id === preferredLotId)
+    );
+
+    const remaining = ordered.map(lot => {
+        if (pending <= 0) return lot;
+
+        const used = Math.min(lot.quantity, pending);
+        pending = roundQuantity(pending - used);
+        taken.push({
+            lotId: lot.id,
+            quantity: used,
+            expiryDate: lot.expiryDate,
+            addedAt: lot.addedAt
+        });
+
+        return { ...lot, quantity: roundQuantity(lot.quantity - used) };
+    }).filter(lot => lot.quantity > 0);
+
+    return { lots: remaining, taken, missing: pending };
+}
+
+/**
+ * Convierte productos en una entrada por lote con fecha, para listados de caducidad.
+ * Cada entrada es el producto con quantity/expiryDate del lote y la referencia al lote.
+ * @param {Array} products - Productos normalizados
+ */
+export function getLotEntries(products) {
+    return products.flatMap(product =>
+        (product.lots || [])
+            .filter(lot => lot.expiryDate)
+            .map(lot => ({
+                ...product,
+                lot,
+                quantity: lot.quantity,
+                expiryDate: lot.expiryDate
+            }))
+    );
+}
+
+/**
+ * Filtra las entradas de lotes según los días que faltan para caducar
+ * @param {Array} entries - Resultado de getLotEntries
+ * @param {number} minDays - Mínimo de días (incluido)
+ * @param {number} maxDays - Máximo de días (incluido)
+ */
+export function filterLotsByDays(entries, minDays, maxDays) {
+    return entries.filter(entry => {
+        const days = getDaysUntilExpiry(entry.expiryDate);
+        return days >= minDays && days <= maxDays;
+    });
+}
+
+/**
+ * Días que suelen durar los lotes de un producto (del alta a la caducidad)
+ * @param {Object} product - Producto con lotes
+ * @returns {number|null} Media de días o null si ningún lote tiene fecha
+ */
+export function estimateShelfLifeDays(product) {
+    const durations = (product?.lots || [])
+        .filter(lot => lot.expiryDate && lot.addedAt)
+        .map(lot => (new Date(lot.expiryDate) - new Date(lot.addedAt)) / (1000 * 60 * 60 * 24))
+        .filter(days => days > 0);
+
+    if (durations.length === 0) return null;
+
+    return Math.round(durations.reduce((total, days) => total + days, 0) / durations.length);
+}
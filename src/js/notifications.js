@@ -1,10 +1,15 @@
 
-import { getExpiringProducts, getExpiredProducts } from './db.js';
+import { getExpiringProducts, getExpiredProducts, saveSetting } from './db.js';
 
 
 const NOTIFICATION_KEY = 'despensa_notifications_enabled';
 const LAST_CHECK_KEY = 'despensa_last_notification_check';
 
+// Deben coincidir con sw.js y sw-db.js
+const EXPIRY_SETTINGS_KEY = 'expiry-alerts';
+const EXPIRY_SYNC_TAG = 'check-expiry';
+const EXPIRY_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
 
 export function isNotificationSupported() {
     return 'Notification' in window;
@@ -34,6 +39,7 @@ export async function requestNotificationPermission() {
         
         if (permission === 'granted') {
             localStorage.setItem(NOTIFICATION_KEY, 'true');
+            await shareAlertsSetting();
             console.log('Notificaciones activadas');
         }
         
@@ -53,6 +59,54 @@ export function areNotificationsEnabled() {
 
 export function disableNotifications() {
     localStorage.setItem(NOTIFICATION_KEY, 'false');
+    shareAlertsSetting();
+}
+
+/**
+ * Copia en IndexedDB si las alertas están activas para que el Service Worker
+ * las lance con la app cerrada, y registra la revisión periódica
+ */
+async function shareAlertsSetting() {
+    try {
+        await saveSetting(EXPIRY_SETTINGS_KEY, { enabled: areNotificationsEnabled() });
+        await registerPeriodicExpiryCheck();
+    } catch (error) {
+        console.error('Error al guardar el ajuste de alertas:', error);
+    }
+}
+
+/**
+ * Pide al navegador que despierte al Service Worker cada cierto tiempo (Periodic
+ * Background Sync). Solo existe en algunos navegadores y con la app instalada;
+ * si no, el Service Worker revisa al sincronizar y la app al abrirse.
+ * @returns {Promise<boolean>} true si quedó registrada
+ */
+export async function registerPeriodicExpiryCheck() {
+    if (!('serviceWorker' in navigator)) return false;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (!('periodicSync' in registration)) return false;
+
+        const status = await navigator.permissions?.query({ name: 'periodic-background-sync' });
+        if (status && status.state !== 'granted') return false;
+
+        await registration.periodicSync.register(EXPIRY_SYNC_TAG, { minInterval: EXPIRY_SYNC_INTERVAL });
+        return true;
+    } catch (error) {
+        console.warn('Periodic Background Sync no disponible:', error);
+        return false;
+    }
+}
+
+/**
+ * Número de caducados en el icono de la app instalada (Badging API)
+ */
+export function updateAppBadge(count) {
+    if (!('setAppBadge' in navigator)) return;
+
+    const update = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+    update.catch(error => console.warn('No se pudo actualizar el globo del icono:', error));
 }
 
 /**
@@ -101,6 +155,12 @@ export function showNotification(title, options = {}) {
 export async function checkExpiryAlerts() {
     if (!areNotificationsEnabled()) return;
 
+    // Con Service Worker revisa él: guarda el último aviso en IndexedDB y no se repite
+    if (navigator.serviceWorker?.controller) {
+        navigator.serviceWorker.controller.postMessage({ action: 'check-expiry' });
+        return;
+    }
+
     
     const lastCheck = localStorage.getItem(LAST_CHECK_KEY);
     const today = new Date().toDateString();
@@ -150,6 +210,7 @@ export async function checkExpiryAlerts() {
 
 export function scheduleExpiryChecks() {
     
+    shareAlertsSetting();
     checkExpiryAlerts();
 
     
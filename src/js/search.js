@@ -0,0 +1,216 @@
+import { getCategoryName, sanitizeHTML } from './utils.js';
+
+/**
+ * Búsqueda aproximada de productos: sin tildes ni mayúsculas, tolera erratas
+ * y busca en nombre, categoría y notas. Los resultados se ordenan por relevancia.
+ */
+
+/**
+ * Peso de cada campo en la puntuación
+ */
+const SEARCH_FIELDS = [
+    { key: 'name', weight: 3, getText: (product) => product.name },
+    { key: 'category', weight: 2, getText: (product) => getCategoryName(product.category) },
+    { key: 'notes', weight: 1, getText: (product) => product.notes || '' }
+];
+
+const DIACRITICS = /[\u0300-\u036f]/g;
+
+
+/**
+ * Normaliza texto conservando la posición de cada carácter en el original
+ * @param {string} text - Texto original
+ * @returns {Object} { folded, map } donde map[i] es el índice original del carácter i
+ */
+function foldWithMap(text) {
+    let folded = '';
+    const map = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i].normalize('NFD').replace(DIACRITICS, '').toLowerCase();
+
+        for (let j = 0; j < char.length; j++) {
+            folded += char[j];
+            map.push(i);
+        }
+    }
+
+    return { folded, map };
+}
+
+/**
+ * Errores de escritura permitidos según la longitud de la palabra buscada
+ */
+function getMaxTypos(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Distancia de edición (Damerau-Levenshtein restringida: inserción, borrado,
+ * sustitución y transposición de letras contiguas)
+ */
+export function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[rows - 1][cols - 1];
+}
+
+/**
+ * Busca una palabra de la consulta dentro de un texto ya normalizado
+ * @returns {Object|null} { score (0-1), start, end } en el texto normalizado
+ */
+function matchToken(token, folded) {
+    const index = folded.indexOf(token);
+
+    if (index !== -1) {
+        const atWordStart = index === 0 || /\W/.test(folded[index - 1]);
+        const end = index + token.length;
+        const wholeWord = atWordStart && (end === folded.length || /\W/.test(folded[end]));
+
+        return {
+            score: wholeWord ? 1 : atWordStart ? 0.9 : 0.7,
+            start: index,
+            end
+        };
+    }
+
+    const maxTypos = getMaxTypos(token.length);
+    if (maxTypos === 0) return null;
+
+    let best = null;
+    const wordPattern = /[^\W_]+/g;
+    let word;
+
+    while ((word = wordPattern.exec(folded)) !== null) {
+        const text = word[0];
+        // Comparar también con el inicio de la palabra para resultados mientras se escribe
+        const candidates = [text, text.slice(0, token.length)];
+
+        candidates.forEach(candidate => {
+            const distance = editDistance(token, candidate);
+            if (distance > maxTypos) return;
+
+            const score = 0.6 - distance * 0.15;
+            if (!best || score > best.score) {
+                best = { score, start: word.index, end: word.index + text.length };
+            }
+        });
+    }
+
+    return best;
+}
+
+/**
+ * Puntúa un producto para una consulta. Todas las palabras deben aparecer en algún campo.
+ * @param {Object} product - Producto
+ * @param {string[]} tokens - Palabras de la consulta normalizadas
+ * @returns {Object|null} { score, matches: { [campo]: [[inicio, fin]] } } con índices del texto original
+ */
+function scoreProduct(product, tokens) {
+    const fields = SEARCH_FIELDS.map(field => {
+        const text = field.getText(product);
+        return { ...field, text, ...foldWithMap(text) };
+    });
+
+    let score = 0;
+    const matches = {};
+
+    for (const token of tokens) {
+        let bestForToken = null;
+
+        fields.forEach(field => {
+            const match = matchToken(token, field.folded);
+            if (!match) return;
+
+            const weighted = match.score * field.weight;
+            if (!bestForToken || weighted > bestForToken.weighted) {
+                bestForToken = { ...match, weighted, field };
+            }
+        });
+
+        if (!bestForToken) return null;
+
+        const { field, start, end } = bestForToken;
+        score += bestForToken.weighted;
+        matches[field.key] = [
+            ...(matches[field.key] || []),
+            [field.map[start], field.map[end - 1] + 1]
+        ];
+    }
+
+    return { score, matches };
+}
+
+/**
+ * Ordena productos por relevancia para una consulta
+ * @param {Array} products - Productos
+ * @param {string} query - Texto buscado
+ * @returns {Array} [{ product, score, matches }] de mayor a menor puntuación
+ */
+export function rankProducts(products, query) {
+    const tokens = foldWithMap(query).folded.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    return products
+        .map(product => {
+            const result = scoreProduct(product, tokens);
+            return result ? { product, ...result } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name, 'es'));
+}
+
+/**
+ * Devuelve el texto escapado con los fragmentos coincidentes en <mark>
+ * @param {string} text - Texto original
+ * @param {Array} ranges - [[inicio, fin]] sobre el texto original
+ */
+export function highlightText(text, ranges = []) {
+    if (!text) return '';
+    if (!ranges || ranges.length === 0) return sanitizeHTML(text);
+
+    const merged = [...ranges]
+        .sort((a, b) => a[0] - b[0])
+        .reduce((result, range) => {
+            const last = result[result.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                result.push([...range]);
+            }
+            return result;
+        }, []);
+
+    let html = '';
+    let position = 0;
+
+    merged.forEach(([start, end]) => {
+        html += sanitizeHTML(text.slice(position, start));
+        html += `<mark>${sanitizeHTML(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+
+    return html + sanitizeHTML(text.slice(position));
+}
@@ -0,0 +1,56 @@
+import { parseListText } from './shopping.js';
+
+/**
+ * Contenido compartido desde otras apps (Web Share Target).
+ * El Service Worker recibe el POST de /share-target, guarda los datos en una caché
+ * propia y redirige a index.html?shared=1; la app los recoge de ahí una sola vez.
+ * Los nombres de caché y clave deben coincidir con los de sw.js.
+ */
+
+const SHARE_CACHE = 'despensa-share';
+const SHARE_KEY = '/shared-data';
+
+
+/**
+ * Recoge lo compartido: de la caché del Service Worker o, si no hay, de la URL (GET)
+ * @param {URLSearchParams} params - Parámetros de la URL actual
+ * @returns {Promise<Object|null>} { title, text, url } o null si no hay nada
+ */
+export async function readSharedPayload(params) {
+    let payload = null;
+
+    if ('caches' in window) {
+        const cache = await caches.open(SHARE_CACHE);
+        const response = await cache.match(SHARE_KEY);
+
+        if (response) {
+            payload = await response.json();
+            await cache.delete(SHARE_KEY);
+        }
+    }
+
+    payload = payload || {
+        title: params.get('title') || '',
+        text: params.get('text') || '',
+        url: params.get('url') || ''
+    };
+
+    return payload.title || payload.text || payload.url ? payload : null;
+}
+
+/**
+ * Items candidatos a partir del texto compartido. Una línea por item; si llega
+ * en una sola línea ("leche, huevos y pan") se separa por comas.
+ * El título y los enlaces no son items: se muestran aparte como origen.
+ * @returns {Array} [{ name, quantity }]
+ */
+export function getSharedCandidates({ text = '' } = {}) {
+    const body = text.replace(/https?:\/\/\S+/g, '').trim();
+    const lines = body.split(/\r?\n/).filter(line => line.trim());
+
+    const source = lines.length === 1
+        ? lines[0].split(/\s*[,;]\s*|\s+y\s+(?=[^,;]+$)/).join('\n')
+        : body;
+
+    return parseListText(source);
+}
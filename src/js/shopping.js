@@ -0,0 +1,283 @@
+import { normalizeText, formatQuantity, FALLBACK_CATEGORY } from './utils.js';
+import { parseAmount, resolveUnit, addQuantities, roundQuantity, AMOUNT_PATTERN } from './units.js';
+
+/**
+ * Items de la lista de la compra con cantidad estructurada.
+ * Cada item guarda el texto que escribió el usuario (quantity) y su interpretación
+ * (amount + unit) para poder sumar repetidos y proponer la cantidad al guardarlo en la despensa.
+ */
+
+// Cantidad escrita como texto: un número y, si acaso, una unidad ("2", "1/2 kg", "3 cartones")
+const QUANTITY_TEXT = new RegExp(`^(?:${AMOUNT_PATTERN})(?:\\s*[a-zA-ZáéíóúñÁÉÍÓÚÑ]+\\.?)?$`);
+
+
+/**
+ * Interpreta el texto de cantidad de un item: "2", "1kg", "500 ml", "1,5 l", "1/2 kg", "1.000 ml"
+ * @param {string} text - Cantidad escrita por el usuario
+ * @returns {Object} { amount, unit } o { amount: null, unit: null } si no se entiende
+ */
+export function parseShoppingQuantity(text) {
+    const match = String(text ?? '').trim().match(new RegExp(`^(${AMOUNT_PATTERN})\\s*(.*)$`));
+    const amount = match ? parseAmount(match[1]) : NaN;
+
+    if (!(amount > 0)) return { amount: null, unit: null };
+
+    // Sin unidad es un número de unidades; una palabra desconocida ("cartones") no se interpreta
+    const unit = match[2] ? resolveUnit(match[2]) : 'unidad';
+
+    return unit ? { amount, unit } : { amount: null, unit: null };
+}
+
+/**
+ * Separa la cantidad cuando se escribe junto al nombre: "leche 1l", "2 kg de patatas", "1/2 kg queso"
+ * @param {string} text - Lo escrito en el campo de nombre
+ * @returns {Object} { name, quantity } (quantity vacío si no hay cantidad reconocible)
+ */
+export function splitNameAndQuantity(text) {
+    const value = String(text ?? '').trim();
+
+    const trailing = value.match(new RegExp(`^(.+?)\\s+((?:${AMOUNT_PATTERN})\\s*[a-zA-Z]*\\.?)$`));
+    if (trailing && parseShoppingQuantity(trailing[2]).amount) {
+        return { name: trailing[1].trim(), quantity: trailing[2] };
+    }
+
+    const leading = value.match(new RegExp(`^((?:${AMOUNT_PATTERN})\\s*[a-zA-Z]*\\.?)\\s+(?:de\\s+)?(.+)$`));
+    if (leading && parseShoppingQuantity(leading[1]).amount) {
+        return { name: leading[2].trim(), quantity: leading[1] };
+    }
+
+    return { name: value, quantity: '' };
+}
+
+/**
+ * Prepara un item nuevo: separa la cantidad del nombre si hace falta e interpreta la cantidad.
+ * Si el item ya trae amount (editado por el usuario) se respeta.
+ * @param {Object} item - { name, quantity, amount?, unit? }
+ */
+export function normalizeShoppingItem(item) {
+    let name = (item.name || '').trim();
+    let quantity = (item.quantity || '').trim();
+
+    if (!quantity) {
+        ({ name, quantity } = splitNameAndQuantity(name));
+    }
+
+    const parsed = item.amount !== undefined
+        ? { amount: item.amount, unit: item.amount ? item.unit || 'unidad' : null }
+        : parseShoppingQuantity(quantity);
+
+    return { ...item, name, quantity, ...parsed };
+}
+
+/**
+ * Busca en la lista un item pendiente con el mismo nombre
+ */
+export function findShoppingMatch(list, name) {
+    const key = normalizeText(name);
+    return list.find(item => !item.bought && normalizeText(item.name) === key) || null;
+}
+
+/**
+ * Suma la cantidad de un item repetido al que ya está en la lista
+ * @param {Object} existing - Item de la lista
+ * @param {Object} incoming - Item nuevo normalizado
+ * @returns {Object|null} Item actualizado o null si las cantidades no se pueden sumar
+ */
+export function mergeShoppingQuantities(existing, incoming) {
+    // Sin cantidad no hay nada que sumar: basta con el item que ya está
+    if (!incoming.quantity) return existing;
+
+    if (!existing.quantity) {
+        return { ...existing, quantity: incoming.quantity, amount: incoming.amount, unit: incoming.unit };
+    }
+
+    if (!existing.amount || !incoming.amount) return null;
+
+    const total = addQuantities(
+        { quantity: existing.amount, unit: existing.unit },
+        { quantity: incoming.amount, unit: incoming.unit }
+    );
+
+    if (!total) return null;
+
+    return {
+        ...existing,
+        amount: total.quantity,
+        unit: total.unit,
+        quantity: formatQuantity(total.quantity, total.unit)
+    };
+}
+
+/**
+ * Adivina la categoría de un item a partir del inventario y, si no está, del historial
+ * @param {string} name - Nombre del item
+ * @param {Array} products - Inventario
+ * @param {Array} history - Eventos de consumo y desperdicio (con la copia del producto)
+ * @returns {string|null} Clave de categoría o null si no hay pistas
+ */
+export function guessCategory(name, products = [], history = []) {
+    const key = normalizeText(name);
+    if (!key) return null;
+
+    const known = [
+        ...products,
+        ...history.map(event => event.product).filter(Boolean).reverse()
+    ].filter(product => product.category);
+
+    // Primero el mismo nombre; si no, uno que contenga al otro ("leche" y "leche entera")
+    const exact = known.find(product => normalizeText(product.name) === key);
+    const partial = known.find(product => {
+        const other = normalizeText(product.name);
+        return other && (other.includes(key) || key.includes(other));
+    });
+
+    return (exact || partial)?.category || null;
+}
+
+/**
+ * Agrupa la lista por categoría en el orden de pasillos de la tienda.
+ * Dentro de cada grupo los comprados van al final.
+ * @param {Array} items - Items de la lista (con category)
+ * @param {Array} categories - Categorías en su orden general
+ * @param {string[]} aisleOrder - Claves de categoría en el orden de la tienda (opcional)
+ * @returns {Array} [{ category, items, pending }]
+ */
+export function groupShoppingItems(items, categories, aisleOrder = []) {
+    const known = new Set(categories.map(category => category.key));
+    const order = [
+        ...aisleOrder.filter(key => known.has(key)),
+        ...categories.map(category => category.key).filter(key => !aisleOrder.includes(key))
+    ];
+
+    return order
+        .map(key => {
+            const groupItems = items
+                .filter(item => (known.has(item.category) ? item.category : FALLBACK_CATEGORY) === key)
+                .sort((a, b) => a.bought - b.bought || new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+            return {
+                category: categories.find(category => category.key === key),
+                items: groupItems,
+                pending: groupItems.filter(item => !item.bought).length
+            };
+        })
+        .filter(group => group.items.length > 0);
+}
+
+/**
+ * Importe estimado de un item: precio unitario por la cantidad (1 si no tiene)
+ * @returns {number|null} Importe o null si el item no tiene precio
+ */
+export function getItemTotal(item) {
+    if (!(item.price > 0)) return null;
+    return Math.round(item.price * (item.amount || 1) * 100) / 100;
+}
+
+/**
+ * Totales de una lista: estimado (todos los items) y real (los comprados)
+ * @returns {Object} { estimated, actual, unpriced } unpriced = items sin precio
+ */
+export function getListTotals(items) {
+    return items.reduce((totals, item) => {
+        const total = getItemTotal(item);
+
+        if (total === null) {
+            totals.unpriced++;
+            return totals;
+        }
+
+        totals.estimated = roundQuantity(totals.estimated + total);
+        if (item.bought) totals.actual = roundQuantity(totals.actual + total);
+        return totals;
+    }, { estimated: 0, actual: 0, unpriced: 0 });
+}
+
+/**
+ * Periodos de repetición de los items recurrentes
+ */
+export const RECURRENCE_PERIODS = {
+    day: { singular: 'día', plural: 'días' },
+    week: { singular: 'semana', plural: 'semanas' },
+    month: { singular: 'mes', plural: 'meses' }
+};
+
+/**
+ * Próxima fecha en la que toca un item recurrente
+ * @param {string} date - Fecha de partida YYYY-MM-DD
+ * @param {number} every - Cada cuántos periodos
+ * @param {string} period - Clave de RECURRENCE_PERIODS
+ * @param {number} anchorDay - Día del mes en que empezó (los mensuales vuelven a él tras un mes corto)
+ * @returns {string} Fecha YYYY-MM-DD
+ */
+export function getNextDueDate(date, every, period, anchorDay = null) {
+    const [year, month, day] = date.split('-').map(Number);
+    const next = new Date(year, month - 1, day);
+
+    if (period === 'month') {
+        // 31 de enero + 1 mes = 28 (o 29) de febrero, y el siguiente 31 de marzo
+        next.setDate(1);
+        next.setMonth(next.getMonth() + every);
+        next.setDate(Math.min(anchorDay || day, new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()));
+    } else {
+        next.setDate(next.getDate() + every * (period === 'week' ? 7 : 1));
+    }
+
+    return [
+        next.getFullYear(),
+        String(next.getMonth() + 1).padStart(2, '0'),
+        String(next.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Texto de la repetición: "cada 2 días", "cada mes"
+ */
+export function formatRecurrence(every, period) {
+    const names = RECURRENCE_PERIODS[period] || RECURRENCE_PERIODS.day;
+    return every === 1 ? `cada ${names.singular}` : `cada ${every} ${names.plural}`;
+}
+
+/**
+ * Lista en texto para compartir por mensajería: solo los items pendientes
+ * @param {Array} items - Items de la lista
+ * @param {string} title - Nombre de la lista
+ * @returns {string} "🛒 Lista principal\n• leche (2 l)\n• pan"
+ */
+export function formatListAsText(items, title) {
+    const lines = items
+        .filter(item => !item.bought)
+        .map(item => `• ${item.name}${item.quantity ? ` (${item.quantity})` : ''}`);
+
+    return [`🛒 ${title}`, ...lines].join('\n');
+}
+
+/**
+ * Interpreta una lista pegada, una línea por item. Acepta viñetas, numeración,
+ * casillas ("[ ]", las marcadas "[x]" se ignoran) y la cantidad entre paréntesis,
+ * tras un guion o junto al nombre ("leche 2l", "2 kg de patatas", "huevos x12").
+ * @param {string} text - Texto pegado
+ * @returns {Array} [{ name, quantity }]
+ */
+export function parseListText(text) {
+    return String(text ?? '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        // Títulos ("🛒 Lista principal", "Carnicería:") y casillas marcadas no son items
+        .filter(line => line && !line.startsWith('🛒') && !/:$/.test(line) && !/^(\[[xX]\]|✅|☑)/.test(line))
+        .map(line => line
+            .replace(/^(?:[-*•·▪◦☐]|\[\s?\]|\d+[.)])\s*/, '')
+            .trim())
+        .filter(Boolean)
+        .map(line => {
+            const explicit = line.match(/^(.+?)\s*(?:\((.+)\)|(?:\s[-–—]|:)\s+(.+)|\s[xX×]\s?(\d+(?:[.,]\d+)?))$/);
+            const quantity = explicit && (explicit[2] || explicit[3] || explicit[4]).trim();
+
+            // "pan (integral)" o "tomate - marca X" no llevan cantidad: la aclaración es parte del nombre
+            if (quantity && QUANTITY_TEXT.test(quantity)) {
+                return { name: explicit[1].trim(), quantity };
+            }
+
+            return splitNameAndQuantity(line);
+        })
+        .filter(item => item.name);
+}
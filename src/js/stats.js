@@ -0,0 +1,273 @@
+import { getCategoryName, normalizeText, getDaysUntilExpiry, FALLBACK_CATEGORY } from './utils.js';
+import { getLotEntries } from './lots.js';
+import { addQuantities, convertUnitPrice } from './units.js';
+
+/**
+ * Cálculos del panel de estadísticas.
+ * Trabajan sobre el historial (consumidos / tirados / comprados) y el inventario actual.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const MONTH_LABELS = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
+
+
+/**
+ * Clave de mes YYYY-MM de una fecha
+ */
+function getMonthKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Salida tirada por caducar: con el motivo "caducado" o con algún lote ya caducado al tirarlo
+ */
+export function isExpiredEvent(event) {
+    if (event.type !== 'discarded') return false;
+    if (event.reason === 'caducado') return true;
+
+    const day = new Date(event.timestamp).toLocaleDateString('sv-SE');
+    return (event.lots || []).some(lot => lot.expiryDate && lot.expiryDate < day);
+}
+
+/**
+ * Últimos N meses (incluido el actual), del más antiguo al más reciente
+ * @returns {Array} [{ key: 'YYYY-MM', label: 'ene 24' }]
+ */
+export function getLastMonths(count = 6, from = new Date()) {
+    const months = [];
+
+    for (let i = count - 1; i >= 0; i--) {
+        const date = new Date(from.getFullYear(), from.getMonth() - i, 1);
+        months.push({
+            key: getMonthKey(date),
+            label: `${MONTH_LABELS[date.getMonth()]} ${String(date.getFullYear()).slice(2)}`
+        });
+    }
+
+    return months;
+}
+
+/**
+ * Productos consumidos, caducados y tirados por otros motivos por mes (número de salidas registradas)
+ * @param {Array} events - Historial de getHistory()
+ * @param {number} months - Meses a mostrar
+ * @returns {Array} [{ key, label, consumed, expired, discarded }] discarded no incluye los caducados
+ */
+export function getMonthlyTotals(events, months = 6) {
+    const totals = getLastMonths(months).map(month => ({ ...month, consumed: 0, expired: 0, discarded: 0 }));
+    const byKey = Object.fromEntries(totals.map(month => [month.key, month]));
+
+    events.forEach(event => {
+        const month = byKey[getMonthKey(event.timestamp)];
+        const serie = isExpiredEvent(event) ? 'expired' : event.type;
+
+        if (month && month[serie] !== undefined) {
+            month[serie]++;
+        }
+    });
+
+    return totals;
+}
+
+/**
+ * Salidas tiradas agrupadas por categoría, de mayor a menor
+ * @returns {Array} [{ category, label, value }]
+ */
+export function getWasteByCategory(events) {
+    const counts = {};
+
+    events
+        .filter(event => event.type === 'discarded')
+        .forEach(event => {
+            const category = event.product?.category || FALLBACK_CATEGORY;
+            counts[category] = (counts[category] || 0) + 1;
+        });
+
+    return Object.entries(counts)
+        .map(([category, value]) => ({
+            category,
+            label: getCategoryName(category),
+            value
+        }))
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Productos que más se tiran (agrupados por nombre sin tildes ni mayúsculas)
+ * @param {Array} events - Historial
+ * @param {number} limit - Máximo de productos
+ * @returns {Array} [{ name, times, quantity, unit }]
+ */
+export function getMostWasted(events, limit = 5) {
+    const groups = {};
+
+    events
+        .filter(event => event.type === 'discarded')
+        .forEach(event => {
+            const name = event.product?.name || '';
+            const key = normalizeText(name);
+            if (!key) return;
+
+            if (!groups[key]) {
+                groups[key] = { name, times: 0, quantity: 0, unit: event.unit };
+            }
+
+            groups[key].times++;
+
+            // Se suman las cantidades de unidades compatibles (500 g + 1 kg)
+            const total = addQuantities(groups[key], event, event.product?.packageSize);
+            if (total) {
+                groups[key].quantity = total.quantity;
+            }
+        });
+
+    return Object.values(groups)
+        .sort((a, b) => b.times - a.times || b.quantity - a.quantity)
+        .slice(0, limit);
+}
+
+/**
+ * Días medios entre la compra (alta del lote) y la salida, ponderados por cantidad
+ * @param {Array} events - Historial
+ * @param {string} type - 'consumed' o 'discarded'
+ * @returns {number|null} Días o null si no hay datos
+ */
+export function getAverageDaysToUse(events, type = 'consumed') {
+    let totalDays = 0;
+    let totalWeight = 0;
+
+    events
+        .filter(event => event.type === type)
+        .forEach(event => {
+            const lots = event.lots?.length
+                ? event.lots
+                : [{ quantity: event.quantity, addedAt: event.product?.createdAt }];
+
+            lots.forEach(lot => {
+                const start = lot.addedAt || event.product?.createdAt;
+                if (!start) return;
+
+                const days = Math.max(0, (new Date(event.timestamp) - new Date(start)) / MS_PER_DAY);
+                const weight = lot.quantity || 1;
+
+                totalDays += days * weight;
+                totalWeight += weight;
+            });
+        });
+
+    return totalWeight > 0 ? Math.round((totalDays / totalWeight) * 10) / 10 : null;
+}
+
+/**
+ * Resumen general para las tarjetas del panel
+ * @param {Array} events - Historial
+ * @param {Array} products - Inventario actual
+ */
+export function getStatsSummary(events, products) {
+    const consumed = events.filter(event => event.type === 'consumed').length;
+    const discarded = events.filter(event => event.type === 'discarded').length;
+    const total = consumed + discarded;
+
+    return {
+        consumed,
+        discarded,
+        expired: events.filter(isExpiredEvent).length,
+        wasteRate: total > 0 ? Math.round((discarded / total) * 100) : null,
+        averageDaysToUse: getAverageDaysToUse(events, 'consumed'),
+        averageDaysToWaste: getAverageDaysToUse(events, 'discarded'),
+        expiredInPantry: getLotEntries(products)
+            .filter(entry => getDaysUntilExpiry(entry.expiryDate) < 0).length
+    };
+}
+
+/**
+ * Gasto por mes a partir de las compras con precio
+ * @param {Array} events - Historial
+ * @param {number} months - Meses a mostrar
+ * @returns {Array} [{ key, label, spent }]
+ */
+export function getMonthlySpending(events, months = 6) {
+    const totals = getLastMonths(months).map(month => ({ ...month, spent: 0 }));
+    const byKey = Object.fromEntries(totals.map(month => [month.key, month]));
+
+    events
+        .filter(event => event.type === 'purchased')
+        .forEach(event => {
+            const month = byKey[getMonthKey(event.timestamp)];
+            if (month) month.spent = Math.round((month.spent + (event.total || 0)) * 100) / 100;
+        });
+
+    return totals;
+}
+
+/**
+ * Gasto de un mes agrupado por categoría o por tienda, de mayor a menor
+ * @param {Array} events - Historial
+ * @param {string} monthKey - Mes 'YYYY-MM'
+ * @param {string} by - 'category' o 'store'
+ * @returns {Array} [{ key, label, value }]
+ */
+export function getSpendingBreakdown(events, monthKey, by = 'category') {
+    const totals = {};
+
+    events
+        .filter(event => event.type === 'purchased' && getMonthKey(event.timestamp) === monthKey)
+        .forEach(event => {
+            const key = by === 'store'
+                ? event.store || ''
+                : event.product?.category || FALLBACK_CATEGORY;
+            totals[key] = Math.round(((totals[key] || 0) + (event.total || 0)) * 100) / 100;
+        });
+
+    return Object.entries(totals)
+        .map(([key, value]) => ({
+            key,
+            label: by === 'store' ? key || 'Sin tienda' : getCategoryName(key),
+            value
+        }))
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Precios pagados por un producto, del más antiguo al más reciente.
+ * Cada precio se compara con el anterior (en la unidad del anterior) para ver si ha subido.
+ * @param {Array} events - Historial
+ * @param {string} name - Nombre del producto
+ * @returns {Array} [{ timestamp, price, unit, store, change }] change en % o null
+ */
+export function getPriceHistory(events, name) {
+    const key = normalizeText(name);
+
+    return events
+        .filter(event => event.type === 'purchased' && normalizeText(event.product?.name) === key)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .map((event, index, purchases) => {
+            const previous = purchases[index - 1];
+            const comparable = previous && convertUnitPrice(event.price, event.unit, previous.unit);
+
+            return {
+                timestamp: event.timestamp,
+                price: event.price,
+                unit: event.unit,
+                store: event.store || '',
+                change: comparable
+                    ? Math.round(((comparable - previous.price) / previous.price) * 1000) / 10
+                    : null
+            };
+        });
+}
+
+/**
+ * Nombres de los productos comprados alguna vez con precio (para el buscador de precios)
+ */
+export function getPurchasedNames(events) {
+    const names = new Map();
+
+    events
+        .filter(event => event.type === 'purchased' && event.product?.name)
+        .forEach(event => names.set(normalizeText(event.product.name), event.product.name));
+
+    return [...names.values()].sort((a, b) => a.localeCompare(b, 'es'));
+}
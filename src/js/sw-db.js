@@ -0,0 +1,500 @@
+/**
+ * IndexedDB desde el Service Worker (script clásico: se carga con importScripts en sw.js).
+ * La base de datos la crea y actualiza la app (src/js/db.js); aquí se abre sin versión
+ * (abortando la actualización si todavía no existe) y solo se usa si tiene los stores necesarios.
+ * Los nombres de la base de datos y de los stores deben coincidir con los de db.js.
+ */
+
+const SW_DB_NAME = 'GestorDespensaDB';
+const SW_OUTBOX_STORE = 'outbox';
+const SW_SETTINGS_STORE = 'settings';
+const SW_PRODUCTS_STORE = 'products';
+const SW_SHOPPING_STORE = 'shopping';
+const SW_HISTORY_STORE = 'history';
+const SW_SYNC_SETTINGS_KEY = 'sync';
+const SW_EXPIRY_SETTINGS_KEY = 'expiry-alerts';
+const SW_PENDING_RESTOCK_KEY = 'pending-restock';
+const SW_CHANGES_CHANNEL = 'despensa-changes';
+
+/**
+ * Campos que guardan el id local de otro registro: se envían como syncId (refs)
+ * y al recibirlos se traducen al id que ese registro tiene en este dispositivo
+ */
+const SYNC_REFERENCES = {
+    products: { location: 'locations' },
+    shopping: { listId: 'lists', productId: 'products' },
+    history: { productId: 'products', itemId: 'shopping' },
+    recurring: { listId: 'lists' }
+};
+
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Ejecuta work en una transacción y espera a que se complete
+ */
+function idbTransaction(database, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, mode);
+        let result;
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transacción cancelada'));
+
+        Promise.resolve()
+            .then(() => work(transaction))
+            .then((value) => { result = value; })
+            .catch((error) => {
+                reject(error);
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // La transacción ya había terminado
+                }
+            });
+    });
+}
+
+/**
+ * Abre la base de datos de la app sin pedir versión
+ * @param {string[]} requiredStores - Stores necesarios
+ * @returns {Promise<IDBDatabase|null>} null si la app todavía no la ha creado o no tiene esos stores
+ */
+function openAppDatabase(requiredStores = []) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SW_DB_NAME);
+
+        // Sin versión solo hay actualización si no existe: el esquema lo crea la app, no el SW
+        request.onupgradeneeded = () => request.transaction.abort();
+
+        request.onsuccess = () => {
+            const database = request.result;
+
+            if (!requiredStores.every(name => database.objectStoreNames.contains(name))) {
+                database.close();
+                resolve(null);
+                return;
+            }
+
+            // No bloquear la actualización que lance la app
+            database.onversionchange = () => database.close();
+            resolve(database);
+        };
+
+        request.onerror = () => {
+            if (request.error?.name === 'AbortError') {
+                resolve(null);
+            } else {
+                reject(request.error);
+            }
+        };
+    });
+}
+
+/**
+ * Ajuste guardado por la app en el store settings
+ * @returns {Promise<Object|null>}
+ */
+async function readSetting(database, key) {
+    if (!database.objectStoreNames.contains(SW_SETTINGS_STORE)) return null;
+
+    const setting = await idbTransaction(database, SW_SETTINGS_STORE, 'readonly', (transaction) =>
+        idbRequest(transaction.objectStore(SW_SETTINGS_STORE).get(key))
+    );
+
+    return setting || null;
+}
+
+/**
+ * @returns {Promise<Object|null>} Ajustes de sincronización o null si no está activa
+ */
+async function readSyncSettings(database) {
+    const settings = await readSetting(database, SW_SYNC_SETTINGS_KEY);
+    return settings?.endpoint ? settings : null;
+}
+
+/**
+ * Actualiza un ajuste que ya existe sin pisar el resto de sus campos
+ */
+function updateSetting(database, key, changes) {
+    return idbTransaction(database, SW_SETTINGS_STORE, 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(SW_SETTINGS_STORE);
+        const current = await idbRequest(store.get(key));
+
+        if (!current) return null;
+
+        const updated = { ...current, ...changes };
+        await idbRequest(store.put(updated));
+        return updated;
+    });
+}
+
+/**
+ * Actualiza los ajustes sin pisar lo que haya cambiado la app mientras tanto.
+ * Si la sincronización se desactivó durante la subida, no se vuelve a crear.
+ */
+function updateSyncSettings(database, changes) {
+    return updateSetting(database, SW_SYNC_SETTINGS_KEY, changes);
+}
+
+function readOutbox(database) {
+    return idbTransaction(database, SW_OUTBOX_STORE, 'readonly', (transaction) =>
+        idbRequest(transaction.objectStore(SW_OUTBOX_STORE).getAll())
+    );
+}
+
+function countOutbox(database) {
+    return idbTransaction(database, SW_OUTBOX_STORE, 'readonly', (transaction) =>
+        idbRequest(transaction.objectStore(SW_OUTBOX_STORE).count())
+    );
+}
+
+/**
+ * Quita de la bandeja de salida los cambios ya subidos (los anotados después se quedan)
+ */
+function deleteOutboxEntries(database, ids) {
+    return idbTransaction(database, SW_OUTBOX_STORE, 'readwrite', (transaction) => {
+        const store = transaction.objectStore(SW_OUTBOX_STORE);
+        ids.forEach(id => store.delete(id));
+    });
+}
+
+/**
+ * Deja un cambio por registro (el último), en la posición del primero para que
+ * los registros referenciados sigan llegando antes que los que los usan.
+ * Vaciar un store ('clear') descarta los cambios anteriores de ese store.
+ */
+function compactOutbox(entries) {
+    const latest = new Map();
+
+    entries.forEach(entry => {
+        if (entry.op === 'clear') {
+            [...latest.entries()]
+                .filter(([, previous]) => previous.store === entry.store)
+                .forEach(([key]) => latest.delete(key));
+        }
+
+        latest.set(entry.op === 'clear' ? `${entry.store}:*` : `${entry.store}:${entry.syncId ?? entry.key}`, entry);
+    });
+
+    return [...latest.values()];
+}
+
+/**
+ * Cambios listos para subir: sin el id de la bandeja y con las referencias como syncId
+ */
+function prepareOutgoingChanges(database, entries) {
+    const stores = Object.values(SYNC_REFERENCES)
+        .flatMap(fields => Object.values(fields))
+        .filter((name, index, all) => all.indexOf(name) === index && database.objectStoreNames.contains(name));
+
+    return idbTransaction(database, stores, 'readonly', async (transaction) => {
+        const changes = [];
+
+        for (const { id, ...change } of compactOutbox(entries)) {
+            const fields = SYNC_REFERENCES[change.store];
+
+            if (change.record && fields) {
+                change.refs = {};
+
+                for (const [field, storeName] of Object.entries(fields)) {
+                    const localId = change.record[field];
+                    if (localId === null || localId === undefined) continue;
+
+                    const referenced = await idbRequest(transaction.objectStore(storeName).get(localId));
+                    change.refs[field] = referenced?.syncId || null;
+                }
+            }
+
+            changes.push(change);
+        }
+
+        return changes;
+    });
+}
+
+function getChangeTimestamp(record) {
+    return new Date(record.updatedAt || record.createdAt || record.timestamp || 0).getTime();
+}
+
+/**
+ * Aplica los cambios de otros dispositivos. Los registros se identifican por syncId
+ * (por su clave en los stores sin id autoincremental, como las categorías).
+ * Si la copia local es más reciente se conserva: su cambio ya está en la bandeja de salida.
+ * Por lo mismo, vaciar un store ('clear') no borra lo que aquí cambió después.
+ * Estas escrituras no pasan por db.js, así que no vuelven a la bandeja de salida.
+ * @param {IDBDatabase} database - Base de datos de la app
+ * @param {Array} changes - [{ store, op, key, syncId, record, refs, timestamp }]
+ * @returns {Promise<number>} Cambios aplicados
+ */
+function applyRemoteChanges(database, changes) {
+    const known = changes.filter(change => database.objectStoreNames.contains(change.store));
+    if (known.length === 0) return Promise.resolve(0);
+
+    const stores = [
+        ...known.map(change => change.store),
+        ...Object.values(SYNC_REFERENCES).flatMap(fields => Object.values(fields))
+    ].filter((name, index, all) => all.indexOf(name) === index && database.objectStoreNames.contains(name));
+
+    return idbTransaction(database, stores, 'readwrite', async (transaction) => {
+        let applied = 0;
+
+        const findLocal = (store, change) => store.autoIncrement
+            ? (change.syncId ? idbRequest(store.index('syncId').get(change.syncId)) : Promise.resolve(undefined))
+            : idbRequest(store.get(change.key ?? change.record?.[store.keyPath]));
+
+        for (const change of known) {
+            const store = transaction.objectStore(change.store);
+            const { keyPath } = store;
+
+            if (change.op === 'clear') {
+                const clearedAt = new Date(change.timestamp).getTime();
+
+                for (const local of await idbRequest(store.getAll())) {
+                    if (getChangeTimestamp(local) <= clearedAt) {
+                        await idbRequest(store.delete(local[keyPath]));
+                    }
+                }
+                applied++;
+                continue;
+            }
+
+            const local = await findLocal(store, change);
+
+            if (change.op === 'delete') {
+                if (local) {
+                    await idbRequest(store.delete(local[keyPath]));
+                    applied++;
+                }
+                continue;
+            }
+
+            if (!change.record) continue;
+            if (local && getChangeTimestamp(local) > getChangeTimestamp(change.record)) continue;
+
+            const record = { ...change.record };
+
+            for (const [field, storeName] of Object.entries(SYNC_REFERENCES[change.store] || {})) {
+                if (!(field in record)) continue;
+
+                const syncId = change.refs?.[field];
+                const referenced = syncId && stores.includes(storeName)
+                    ? await idbRequest(transaction.objectStore(storeName).index('syncId').get(syncId))
+                    : null;
+                record[field] = referenced ? referenced.id : null;
+            }
+
+            if (store.autoIncrement) {
+                if (local) {
+                    record[keyPath] = local[keyPath];
+                } else if (record[keyPath] !== undefined && await idbRequest(store.get(record[keyPath]))) {
+                    // El id lo usa otro registro de este dispositivo: se guarda con uno nuevo
+                    delete record[keyPath];
+                }
+            }
+
+            await idbRequest(store.put(record));
+            applied++;
+        }
+
+        return applied;
+    });
+}
+
+/**
+ * Días que faltan para una fecha YYYY-MM-DD (negativo si ya pasó). Igual que getDaysUntilExpiry de utils.js
+ */
+function daysUntil(date) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const expiry = new Date(date);
+    expiry.setHours(0, 0, 0, 0);
+
+    return Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Lotes caducados o que caducan en los próximos días, del más urgente al que menos
+ * @param {number} soonDays - Días que se consideran "próximos"
+ * @returns {Promise<Array>} [{ key, productId, lotId, name, quantity, unit, expiryDate, days }]
+ */
+async function readExpiringLots(database, soonDays) {
+    const products = await idbTransaction(database, SW_PRODUCTS_STORE, 'readonly', (transaction) =>
+        idbRequest(transaction.objectStore(SW_PRODUCTS_STORE).getAll())
+    );
+
+    return products
+        .flatMap(product => (product.lots || [])
+            .filter(lot => lot.expiryDate)
+            .map(lot => ({
+                key: `${product.id}:${lot.id}`,
+                productId: product.id,
+                lotId: lot.id,
+                name: product.name,
+                quantity: lot.quantity,
+                unit: product.unit,
+                expiryDate: lot.expiryDate,
+                days: daysUntil(lot.expiryDate)
+            })))
+        .filter(lot => lot.days <= soonDays)
+        .sort((a, b) => a.days - b.days);
+}
+
+/**
+ * Escribe en los stores de la app como lo haría db.js: cada registro nuevo lleva syncId,
+ * los cambios van a la bandeja de salida si la sincronización está activa y las
+ * ventanas abiertas se enteran por el mismo canal que usan entre ellas.
+ * @param {Function} work - Recibe (transaction, queue); queue(storeName, op, record) anota un cambio
+ */
+async function writeAppData(database, storeNames, work) {
+    const scope = [...storeNames, SW_OUTBOX_STORE, SW_SETTINGS_STORE];
+
+    const result = await idbTransaction(database, scope, 'readwrite', async (transaction) => {
+        const sync = await idbRequest(transaction.objectStore(SW_SETTINGS_STORE).get(SW_SYNC_SETTINGS_KEY));
+
+        const queue = (storeName, op, record) => {
+            if (!sync?.endpoint) return;
+
+            transaction.objectStore(SW_OUTBOX_STORE).add({
+                store: storeName,
+                op,
+                key: record[transaction.objectStore(storeName).keyPath],
+                syncId: record.syncId || null,
+                record: op === 'put' ? record : null,
+                timestamp: new Date().toISOString()
+            });
+        };
+
+        return work(transaction, queue);
+    });
+
+    if (typeof BroadcastChannel === 'function') {
+        const channel = new BroadcastChannel(SW_CHANGES_CHANNEL);
+        channel.postMessage({ stores: scope });
+        channel.close();
+    }
+
+    return result;
+}
+
+/**
+ * Saca del inventario un lote entero y lo registra en el historial. Es una versión reducida
+ * de takeFromProduct en db.js, que el Service Worker no puede importar: el stock mínimo
+ * no se aplica aquí, se anota el producto y la app lo pasa a la compra (applyPendingRestocks).
+ * @param {string} type - 'consumed' o 'discarded'
+ * @returns {Promise<boolean>} false si el producto o el lote ya no existen
+ */
+function takeLot(database, { productId, lotId }, type) {
+    return writeAppData(database, [SW_PRODUCTS_STORE, SW_HISTORY_STORE], async (transaction, queue) => {
+        const products = transaction.objectStore(SW_PRODUCTS_STORE);
+        const product = await idbRequest(products.get(productId));
+        const lot = product?.lots?.find(candidate => candidate.id === lotId);
+
+        if (!lot) return false;
+
+        const lots = product.lots.filter(candidate => candidate.id !== lotId);
+        const remaining = Math.round(lots.reduce((total, item) => total + item.quantity, 0) * 1000) / 1000;
+        const now = new Date().toISOString();
+
+        if (lots.length === 0) {
+            await idbRequest(products.delete(productId));
+            queue(SW_PRODUCTS_STORE, 'delete', product);
+        } else {
+            const updated = {
+                ...product,
+                lots,
+                quantity: remaining,
+                expiryDate: lots.find(remaining => remaining.expiryDate)?.expiryDate || null,
+                updatedAt: now
+            };
+            await idbRequest(products.put(updated));
+            queue(SW_PRODUCTS_STORE, 'put', updated);
+        }
+
+        const event = {
+            type,
+            productId,
+            product,
+            quantity: lot.quantity,
+            unit: product.unit,
+            reason: type === 'discarded' ? 'caducado' : null,
+            lots: [{ lotId: lot.id, quantity: lot.quantity, expiryDate: lot.expiryDate, addedAt: lot.addedAt }],
+            timestamp: now,
+            syncId: self.crypto.randomUUID()
+        };
+        event.id = await idbRequest(transaction.objectStore(SW_HISTORY_STORE).add(event));
+        queue(SW_HISTORY_STORE, 'put', event);
+
+        if (remaining < (Number(product.minQuantity) || 0)) {
+            const settings = transaction.objectStore(SW_SETTINGS_STORE);
+            const pending = await idbRequest(settings.get(SW_PENDING_RESTOCK_KEY));
+
+            await idbRequest(settings.put({
+                key: SW_PENDING_RESTOCK_KEY,
+                items: [...(pending?.items || []), { product, remaining }]
+            }));
+        }
+
+        return true;
+    });
+}
+
+/**
+ * Añade el producto a la lista principal si no está ya pendiente
+ * @returns {Promise<boolean>} false si ya estaba o el producto no existe
+ */
+function addProductToShopping(database, { productId }) {
+    const normalize = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+    return writeAppData(database, [SW_PRODUCTS_STORE, SW_SHOPPING_STORE], async (transaction, queue) => {
+        const product = await idbRequest(transaction.objectStore(SW_PRODUCTS_STORE).get(productId));
+        if (!product) return false;
+
+        const shopping = transaction.objectStore(SW_SHOPPING_STORE);
+        const pending = (await idbRequest(shopping.getAll())).some(item =>
+            !item.bought && (item.listId ?? null) === null && normalize(item.name) === normalize(product.name)
+        );
+
+        if (pending) return false;
+
+        const item = {
+            name: product.name,
+            quantity: '',
+            amount: null,
+            unit: null,
+            category: product.category || null,
+            listId: null,
+            bought: false,
+            createdAt: new Date().toISOString(),
+            syncId: self.crypto.randomUUID()
+        };
+        item.id = await idbRequest(shopping.add(item));
+        queue(SW_SHOPPING_STORE, 'put', item);
+
+        return true;
+    });
+}
+
+/**
+ * Estado de los avisos de cada lote: { [productId:lotId]: { notifiedStatus, snoozedUntil } }
+ * Se guarda en el ajuste de alertas; los lotes que ya no existen se olvidan.
+ */
+function updateExpiryAlertItems(database, update) {
+    return idbTransaction(database, SW_SETTINGS_STORE, 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(SW_SETTINGS_STORE);
+        const current = await idbRequest(store.get(SW_EXPIRY_SETTINGS_KEY));
+
+        if (!current) return null;
+
+        const updated = { ...current, items: update({ ...current.items }) };
+        await idbRequest(store.put(updated));
+        return updated;
+    });
+}
@@ -0,0 +1,80 @@
+/**
+ * Sincronización con un servidor REST, lado de la página.
+ * db.js anota cada cambio en la bandeja de salida y el Service Worker (sw.js y sw-db.js)
+ * la sube a {endpoint}/changes y trae los cambios de otros dispositivos.
+ * Aquí se pide esa sincronización y se interpreta el estado que avisa el Service Worker.
+ */
+
+const SYNC_TAG = 'sync-products';
+
+
+/**
+ * Pide al Service Worker que sincronice. Con Background Sync el navegador espera
+ * a que haya conexión; si no está disponible se le pide directamente por mensaje.
+ * @returns {Promise<boolean>} false si no hay Service Worker
+ */
+export async function requestSync() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return false;
+
+    const registration = await navigator.serviceWorker.ready;
+
+    if ('sync' in registration) {
+        try {
+            await registration.sync.register(SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('Background Sync no disponible:', error);
+        }
+    }
+
+    navigator.serviceWorker.controller.postMessage({ action: 'sync' });
+    return true;
+}
+
+/**
+ * Escucha los avisos de estado del Service Worker
+ * @param {Function} callback - Recibe { status, pushed, pulled, pending, lastSyncAt, error }
+ */
+export function onSyncStatus(callback) {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'sync-status') callback(event.data);
+    });
+}
+
+/**
+ * Texto del indicador de la cabecera
+ * @param {Object} sync - { enabled, pending, online, status, lastSyncAt, lastError }
+ * @returns {Object|null} { state, icon, label, title } o null si la sincronización no está activa
+ */
+export function describeSyncStatus({ enabled, pending = 0, online = true, status, lastSyncAt, lastError }) {
+    if (!enabled) return null;
+
+    const lastSync = lastSyncAt
+        ? `Última sincronización: ${new Date(lastSyncAt).toLocaleString('es-ES')}`
+        : 'Todavía no se ha sincronizado';
+
+    if (status === 'syncing') {
+        return { state: 'syncing', icon: '🔄', label: 'Sincronizando...', title: lastSync };
+    }
+
+    if (!online || status === 'offline') {
+        return {
+            state: 'offline',
+            icon: '📴',
+            label: pending > 0 ? `${pending} sin subir` : 'Sin conexión',
+            title: `Se sincronizará al volver la conexión. ${lastSync}`
+        };
+    }
+
+    if (status === 'error') {
+        return { state: 'error', icon: '⚠️', label: 'Error al sincronizar', title: lastError || lastSync };
+    }
+
+    if (pending > 0) {
+        return { state: 'pending', icon: '⏳', label: `${pending} pendiente(s)`, title: lastSync };
+    }
+
+    return { state: 'synced', icon: '✅', label: 'Sincronizado', title: lastSync };
+}
@@ -0,0 +1,250 @@
+/**
+ * Modelo de cantidades: números decimales con unidad.
+ * Las unidades de la misma magnitud (g/kg, ml/l) se convierten entre sí; los
+ * paquetes pueden declarar su contenido ({ quantity, unit }) para convertirse también.
+ */
+
+/**
+ * Unidades conocidas: magnitud, factor respecto a la unidad base y nombres
+ */
+export const UNITS = {
+    unidad: { dimension: 'count', factor: 1, singular: 'unidad', plural: 'unidades' },
+    paquete: { dimension: 'package', factor: 1, singular: 'paquete', plural: 'paquetes' },
+    g: { dimension: 'mass', factor: 1, singular: 'g', plural: 'g' },
+    kg: { dimension: 'mass', factor: 1000, singular: 'kg', plural: 'kg' },
+    ml: { dimension: 'volume', factor: 1, singular: 'ml', plural: 'ml' },
+    l: { dimension: 'volume', factor: 1000, singular: 'l', plural: 'l' }
+};
+
+/**
+ * Nombres con los que se puede escribir cada unidad (sin tildes, en minúscula)
+ */
+const UNIT_ALIASES = {
+    unidad: 'unidad',
+    unidades: 'unidad',
+    u: 'unidad',
+    ud: 'unidad',
+    uds: 'unidad',
+    kg: 'kg',
+    kgs: 'kg',
+    kilo: 'kg',
+    kilos: 'kg',
+    g: 'g',
+    gr: 'g',
+    grs: 'g',
+    gramo: 'g',
+    gramos: 'g',
+    l: 'l',
+    lt: 'l',
+    litro: 'l',
+    litros: 'l',
+    ml: 'ml',
+    mililitro: 'ml',
+    mililitros: 'ml',
+    paquete: 'paquete',
+    paquetes: 'paquete',
+    paq: 'paquete',
+    pack: 'paquete'
+};
+
+/**
+ * Unidad que se muestra para cada magnitud según el tamaño de la cantidad (de mayor a menor)
+ */
+const DISPLAY_UNITS = {
+    mass: ['kg', 'g'],
+    volume: ['l', 'ml']
+};
+
+
+/**
+ * Redondea cantidades para evitar errores de coma flotante (0.1 + 0.2)
+ */
+export function roundQuantity(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Número escrito a mano, para componer expresiones regulares. La fracción va antes
+ * que el decimal: si no, "1/2" se quedaría en "1". "1.000" es mil (ver parseAmount).
+ */
+export const AMOUNT_PATTERN = '\\d+\\/\\d+|\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?|\\d+(?:[.,]\\d+)?';
+
+/**
+ * Convierte texto a número aceptando coma decimal ("0,5"), fracciones ("1/2") y
+ * punto de miles ("1.000", "2.500,5"). Un punto seguido de exactamente tres cifras
+ * es de miles; con otra cantidad de cifras es decimal ("1.5").
+ * @param {string|number} value - Valor introducido
+ * @returns {number} Número o NaN si no es válido
+ */
+export function parseAmount(value) {
+    if (typeof value === 'number') return value;
+
+    let text = String(value ?? '').trim();
+    if (!text) return NaN;
+
+    if (/^\d{1,3}(?:\.\d{3})+(?:,\d+)?$/.test(text)) {
+        text = text.replace(/\./g, '');
+    }
+
+    text = text.replace(',', '.');
+
+    const fraction = text.match(/^(\d+)\/(\d+)$/);
+    if (fraction) {
+        return Number(fraction[2]) > 0 ? Number(fraction[1]) / Number(fraction[2]) : NaN;
+    }
+
+    return /^\d*\.?\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Clave de unidad a partir de lo que escribe el usuario ("Kilos", "gr"...)
+ * @returns {string|null} Clave de UNITS o null si no se reconoce
+ */
+export function resolveUnit(text) {
+    const key = String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\.$/, '')
+        .trim();
+
+    return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Lee una cantidad escrita a mano: "2", "1,5 kg", "500gr", "1/2 l"
+ * @param {string} text - Texto de la cantidad
+ * @returns {Object|null} { quantity, unit } (unit es null si no se indica o no se reconoce)
+ */
+export function parseQuantityText(text) {
+    const match = String(text ?? '').trim().match(new RegExp(`^(${AMOUNT_PATTERN})\\s*(.*)$`));
+    if (!match) return null;
+
+    const quantity = parseAmount(match[1]);
+    if (!(quantity > 0)) return null;
+
+    return { quantity, unit: resolveUnit(match[2]) };
+}
+
+/**
+ * Pasa una cantidad a la unidad base de su magnitud (g, ml, unidades o paquetes).
+ * Un paquete con contenido conocido se expresa en la magnitud de su contenido.
+ * @param {number} quantity - Cantidad
+ * @param {string} unit - Unidad
+ * @param {Object} packageSize - { quantity, unit } contenido de un paquete (opcional)
+ * @returns {Object|null} { amount, dimension } o null si la unidad no existe
+ */
+export function toBaseAmount(quantity, unit, packageSize = null) {
+    if (unit === 'paquete' && packageSize?.quantity > 0 && UNITS[packageSize.unit] && packageSize.unit !== 'paquete') {
+        const content = toBaseAmount(packageSize.quantity, packageSize.unit);
+        return { amount: roundQuantity(quantity * content.amount), dimension: content.dimension };
+    }
+
+    const definition = UNITS[unit];
+    if (!definition) return null;
+
+    return { amount: roundQuantity(quantity * definition.factor), dimension: definition.dimension };
+}
+
+/**
+ * Convierte una cantidad de una unidad a otra
+ * @param {number} quantity - Cantidad
+ * @param {string} from - Unidad de origen
+ * @param {string} to - Unidad de destino
+ * @param {Object} packageSize - Contenido de un paquete si alguna de las dos es 'paquete'
+ * @returns {number|null} Cantidad convertida o null si las unidades no son compatibles
+ */
+export function convertQuantity(quantity, from, to, packageSize = null) {
+    if (from === to) return quantity;
+
+    const source = toBaseAmount(quantity, from, packageSize);
+    const target = toBaseAmount(1, to, packageSize);
+
+    if (!source || !target || source.dimension !== target.dimension) return null;
+
+    return roundQuantity(source.amount / target.amount);
+}
+
+/**
+ * Pasa un precio unitario a otra unidad (2 €/kg → 0,002 €/g)
+ * @param {number} price - Precio por una unidad de origen
+ * @returns {number|null} Precio por una unidad de destino o null si no son compatibles
+ */
+export function convertUnitPrice(price, from, to, packageSize = null) {
+    const perTarget = convertQuantity(1, to, from, packageSize);
+    return perTarget === null ? null : Math.round(price * perTarget * 10000) / 10000;
+}
+
+/**
+ * Indica si dos unidades se pueden sumar o comparar
+ */
+export function areUnitsCompatible(a, b, packageSize = null) {
+    return convertQuantity(1, a, b, packageSize) !== null;
+}
+
+/**
+ * Unidades a las que se puede convertir una unidad (incluida ella misma)
+ */
+export function getCompatibleUnits(unit, packageSize = null) {
+    return Object.keys(UNITS).filter(key => areUnitsCompatible(unit, key, packageSize));
+}
+
+/**
+ * Suma dos cantidades. El resultado se expresa en la unidad de la primera.
+ * @param {Object} a - { quantity, unit }
+ * @param {Object} b - { quantity, unit }
+ * @returns {Object|null} { quantity, unit } o null si no son compatibles
+ */
+export function addQuantities(a, b, packageSize = null) {
+    const converted = convertQuantity(b.quantity, b.unit, a.unit, packageSize);
+    if (converted === null) return null;
+
+    return { quantity: roundQuantity(a.quantity + converted), unit: a.unit };
+}
+
+/**
+ * Compara dos cantidades
+ * @returns {number|null} Negativo si a < b, 0 si son iguales, positivo si a > b; null si no son compatibles
+ */
+export function compareQuantities(a, b, packageSize = null) {
+    const converted = convertQuantity(b.quantity, b.unit, a.unit, packageSize);
+    if (converted === null) return null;
+
+    return roundQuantity(a.quantity - converted);
+}
+
+/**
+ * Elige la unidad más legible: 1500 g → 1.5 kg, 0.25 l → 250 ml
+ * @returns {Object} { quantity, unit }
+ */
+export function normalizeQuantity(quantity, unit) {
+    const dimension = UNITS[unit]?.dimension;
+    const candidates = DISPLAY_UNITS[dimension];
+
+    if (!candidates || quantity === 0) {
+        return { quantity: roundQuantity(quantity), unit };
+    }
+
+    const base = quantity * UNITS[unit].factor;
+    const display = candidates.find(candidate => Math.abs(base) >= UNITS[candidate].factor)
+        || candidates[candidates.length - 1];
+
+    return { quantity: roundQuantity(base / UNITS[display].factor), unit: display };
+}
+
+/**
+ * Nombre de la unidad en singular o plural
+ */
+export function getUnitLabel(unit, quantity = 1) {
+    const definition = UNITS[unit];
+    if (!definition) return unit || '';
+
+    return quantity === 1 ? definition.singular : definition.plural;
+}
+
+/**
+ * Número con coma decimal y como mucho dos decimales
+ */
+export function formatAmount(quantity) {
+    return Number(quantity).toLocaleString('es-ES', { maximumFractionDigits: 2 });
+}
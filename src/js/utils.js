@@ -1,4 +1,4 @@
-
+import { normalizeQuantity, formatAmount, getUnitLabel } from './units.js';
 
 /**
  * Formatea fecha a formato legible en español
@@ -85,7 +85,7 @@ export function getExpiryStatus(expiryDate) {
 }
 
 /**
- * Iconos por categoría
+ * Iconos de las categorías iniciales (las del usuario se guardan en IndexedDB)
  */
 export const CATEGORY_ICONS = {
     lacteos: '🥛',
@@ -108,9 +108,61 @@ export const CATEGORY_NAMES = {
     otros: 'Otros'
 };
 
+/**
+ * Categoría que reciben los productos cuya categoría se elimina
+ */
+export const FALLBACK_CATEGORY = 'otros';
+
+/**
+ * Categorías en uso. La app las carga del store con setCategories();
+ * hasta entonces se usan las iniciales.
+ */
+let categories = Object.keys(CATEGORY_NAMES).map((key, order) => ({
+    key,
+    name: CATEGORY_NAMES[key],
+    icon: CATEGORY_ICONS[key],
+    order
+}));
+
+
+/**
+ * Motivos al tirar un producto
+ */
+export const DISCARD_REASONS = {
+    caducado: 'Caducado',
+    estropeado: 'En mal estado',
+    sobras: 'Sobras',
+    otro: 'Otro'
+};
+
+
+export function setCategories(list) {
+    categories = list;
+}
+
+
+export function getCategoryList() {
+    return categories;
+}
+
+
+/**
+ * Busca una categoría por clave; las desconocidas se muestran como la de reserva
+ */
+function findCategory(key) {
+    return categories.find(category => category.key === key)
+        || categories.find(category => category.key === FALLBACK_CATEGORY)
+        || { key: FALLBACK_CATEGORY, name: CATEGORY_NAMES.otros, icon: CATEGORY_ICONS.otros };
+}
+
 
 export function getCategoryIcon(category) {
-    return CATEGORY_ICONS[category] || CATEGORY_ICONS.otros;
+    return findCategory(category).icon;
+}
+
+
+export function getCategoryName(category) {
+    return findCategory(category).name;
 }
 
 
@@ -137,22 +189,38 @@ export function debounce(func, wait = 300) {
     };
 }
 
+let toastTimeout = null;
+
 /**
  * Muestra un toast (notificación temporal)
  * @param {string} message - Mensaje a mostrar
  * @param {number} duration - Duración en ms
+ * @param {Object} action - Botón opcional { label, onClick }, p. ej. "Deshacer"
  */
-export function showToast(message, duration = 3000) {
+export function showToast(message, duration = 3000, action = null) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toast-message');
+    const toastAction = document.getElementById('toast-action');
     
     if (!toast || !toastMessage) return;
     
     toastMessage.textContent = message;
     toast.hidden = false;
-    
 
-    setTimeout(() => {
+    if (toastAction) {
+        toastAction.hidden = !action;
+        toastAction.textContent = action?.label || '';
+        toastAction.onclick = action
+            ? () => {
+                toast.hidden = true;
+                action.onClick();
+            }
+            : null;
+    }
+    
+    // Un toast nuevo reemplaza al anterior y reinicia el tiempo
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
         toast.hidden = true;
     }, duration);
 }
@@ -206,13 +274,113 @@ export function isNotEmpty(value) {
 }
 
 
+/**
+ * Normaliza texto para comparar: minúsculas, sin espacios extremos y sin tildes
+ * @param {string} value - Texto a normalizar
+ */
+export function normalizeText(value) {
+    return value
+        .toString()
+        .trim()
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+
 export function sanitizeHTML(str) {
     const div = document.createElement('div');
     div.textContent = str;
     return div.innerHTML;
 }
 
+/**
+ * Escapa un texto para ponerlo entre comillas en un atributo (value="...").
+ * sanitizeHTML no basta: no escapa las comillas.
+ */
+export function escapeAttribute(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+
+/**
+ * Cantidad legible con la unidad más adecuada (1500 g → 1,5 kg)
+ * @param {number} quantity - Cantidad
+ * @param {string} unit - Unidad
+ * @param {Object} packageSize - Contenido de cada paquete, se muestra el total entre paréntesis
+ */
+export function formatQuantity(quantity, unit, packageSize = null) {
+    const format = (value, valueUnit) => {
+        const display = normalizeQuantity(value, valueUnit);
+        return `${formatAmount(display.quantity)} ${getUnitLabel(display.unit, display.quantity)}`;
+    };
 
-export function formatQuantity(quantity, unit) {
-    return `${quantity} ${unit}${quantity > 1 && unit === 'unidad' ? 'es' : ''}`;
+    if (unit === 'paquete' && packageSize?.quantity > 0 && packageSize.unit !== 'paquete') {
+        return `${format(quantity, unit)} (${format(quantity * packageSize.quantity, packageSize.unit)})`;
+    }
+
+    return format(quantity, unit);
+}
+
+/**
+ * Importe en euros con formato local (1,5 → "1,50 €"). Admite hasta 4 decimales
+ * para precios por gramo o mililitro (0,0018 €).
+ */
+export function formatPrice(value) {
+    return Number(value || 0).toLocaleString('es-ES', {
+        style: 'currency',
+        currency: 'EUR',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 4
+    });
+}
+
+
+/**
+ * Descarga contenido como archivo
+ * @param {string} content - Contenido del archivo
+ * @param {string} filename - Nombre sugerido
+ * @param {string} type - Tipo MIME
+ */
+export function downloadFile(content, filename, type = 'application/json') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Lee un archivo seleccionado por el usuario como texto
+ * @param {File} file - Archivo de un input type="file"
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Fecha de hoy (o dentro de addDays días) en formato YYYY-MM-DD (para nombres de archivo e inputs date)
+ */
+export function getTodayISO(addDays = 0) {
+    const today = new Date();
+    today.setDate(today.getDate() + addDays);
+    const offset = today.getTimezoneOffset() * 60000;
+    return new Date(today - offset).toISOString().slice(0, 10);
 }
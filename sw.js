@@ -1,6 +1,26 @@
+importScripts('/src/js/sw-db.js');
+
 const CACHE_NAME = 'despensa-v1';
-const STATIC_CACHE = 'despensa-static-v1';
+const STATIC_CACHE = 'despensa-static-v12';
 const DYNAMIC_CACHE = 'despensa-dynamic-v1';
+// Lo compartido desde otras apps espera aquí a que la app lo recoja (ver src/js/share.js)
+const SHARE_CACHE = 'despensa-share';
+const SHARE_KEY = '/shared-data';
+const SHARE_TARGET_PATH = '/share-target';
+const SYNC_TAG = 'sync-products';
+const EXPIRY_TAG = 'check-expiry';
+const EXPIRY_SOON_DAYS = 3;
+const MAX_EXPIRY_NOTIFICATIONS = 3;
+
+/**
+ * Acciones de la notificación de cada lote
+ */
+const EXPIRY_ACTIONS = {
+    consume: 'Consumido',
+    discard: 'Tirado',
+    'add-to-shopping': 'Añadir a la compra',
+    snooze: 'Recordar mañana'
+};
 
 
 const STATIC_ASSETS = [
@@ -14,6 +34,17 @@ const STATIC_ASSETS = [
     '/src/js/db.js',
     '/src/js/utils.js',
     '/src/js/notifications.js',
+    '/src/js/csv.js',
+    '/src/js/lots.js',
+    '/src/js/charts.js',
+    '/src/js/stats.js',
+    '/src/js/search.js',
+    '/src/js/units.js',
+    '/src/js/duplicates.js',
+    '/src/js/shopping.js',
+    '/src/js/share.js',
+    '/src/js/sync.js',
+    '/src/js/sw-db.js',
     '/src/assets/icons/icon-192x192.png',
     '/src/assets/icons/icon-512x512.png'
 ];
@@ -50,7 +81,8 @@ self.addEventListener('activate', (event) => {
                     cacheNames
                         .filter((name) => {
                             return name !== STATIC_CACHE && 
-                                   name !== DYNAMIC_CACHE;
+                                   name !== DYNAMIC_CACHE &&
+                                   name !== SHARE_CACHE;
                         })
                         .map((name) => {
                             console.log('Eliminando caché antigua:', name);
@@ -133,6 +165,11 @@ self.addEventListener('fetch', (event) => {
     if (url.origin !== location.origin) {
         return;
     }
+
+    if (request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+        event.respondWith(handleShareTarget(request));
+        return;
+    }
     
     if (request.method !== 'GET') {
         return;
@@ -147,6 +184,30 @@ self.addEventListener('fetch', (event) => {
     }
 });
 
+/**
+ * Recibe lo compartido desde otra app (Web Share Target), lo guarda y abre la app.
+ * Funciona sin conexión: no hace falta servidor para el POST.
+ */
+async function handleShareTarget(request) {
+    try {
+        const formData = await request.formData();
+        const payload = {
+            title: formData.get('title') || '',
+            text: formData.get('text') || '',
+            url: formData.get('url') || ''
+        };
+
+        const cache = await caches.open(SHARE_CACHE);
+        await cache.put(SHARE_KEY, new Response(JSON.stringify(payload), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+    } catch (error) {
+        console.error('[SW] Error al recibir contenido compartido:', error);
+    }
+
+    return Response.redirect('/index.html?shared=1', 303);
+}
+
 function isStaticAsset(pathname) {
     const staticExtensions = ['.css', '.js', '.png', '.jpg', '.jpeg', '.webp', '.svg', '.ico', '.woff', '.woff2'];
     return staticExtensions.some(ext => pathname.endsWith(ext));
@@ -202,6 +263,13 @@ self.addEventListener('notificationclick', (event) => {
     if (event.action === 'close') {
         return;
     }
+
+    const expiry = event.notification.data?.expiry;
+
+    if (expiry && EXPIRY_ACTIONS[event.action]) {
+        event.waitUntil(handleExpiryAction(event.action, expiry));
+        return;
+    }
     
     const url = event.notification.data?.url || '/';
     
@@ -222,13 +290,288 @@ self.addEventListener('notificationclick', (event) => {
 self.addEventListener('sync', (event) => {
     console.log('[SW] Background Sync:', event.tag);
     
-    if (event.tag === 'sync-products') {
+    if (event.tag === SYNC_TAG) {
+        // Si falla, el navegador vuelve a intentarlo más tarde
         event.waitUntil(syncProducts());
     }
 });
 
-async function syncProducts() {
-    console.log('[SW] Sincronizando productos...');
+let syncInProgress = null;
+
+/**
+ * Sube la bandeja de salida a {endpoint}/changes y trae los cambios de otros dispositivos.
+ * Una sola sincronización a la vez: las peticiones que llegan mientras tanto esperan a esa.
+ */
+function syncProducts() {
+    if (!syncInProgress) {
+        syncInProgress = runSync().finally(() => {
+            syncInProgress = null;
+        });
+    }
+
+    return syncInProgress;
+}
+
+async function runSync() {
+    const database = await openAppDatabase([SW_OUTBOX_STORE, SW_SETTINGS_STORE]);
+    if (!database) return;
+
+    try {
+        const settings = await readSyncSettings(database);
+        if (!settings) return;
+
+        console.log('[SW] Sincronizando con', settings.endpoint);
+        await notifySyncStatus({ status: 'syncing' });
+
+        const entries = await readOutbox(database);
+
+        if (entries.length > 0) {
+            const changes = await prepareOutgoingChanges(database, entries);
+            const response = await fetch(`${settings.endpoint}/changes`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceId: settings.deviceId, changes })
+            });
+
+            if (!response.ok) throw new Error(`El servidor respondió ${response.status} al subir los cambios`);
+            await deleteOutboxEntries(database, entries.map(entry => entry.id));
+        }
+
+        const params = new URLSearchParams({ since: settings.cursor || 0, deviceId: settings.deviceId });
+        const response = await fetch(`${settings.endpoint}/changes?${params}`);
+
+        if (!response.ok) throw new Error(`El servidor respondió ${response.status} al pedir los cambios`);
+
+        const remote = await response.json();
+        const pulled = await applyRemoteChanges(database, remote.changes || []);
+        const lastSyncAt = new Date().toISOString();
+
+        await updateSyncSettings(database, { cursor: remote.cursor ?? settings.cursor, lastSyncAt, lastError: null });
+        await notifySyncStatus({
+            status: 'synced',
+            pushed: entries.length,
+            pulled,
+            pending: await countOutbox(database),
+            lastSyncAt
+        });
+
+        // Lo recibido puede cambiar qué productos están caducados
+        if (pulled > 0) await checkExpiry();
+    } catch (error) {
+        console.error('[SW] Error al sincronizar:', error);
+
+        // fetch falla con TypeError cuando no hay red
+        const offline = error instanceof TypeError || self.navigator.onLine === false;
+        const message = offline ? 'Sin conexión con el servidor' : error.message;
+
+        await updateSyncSettings(database, { lastError: message }).catch(() => {});
+        await notifySyncStatus({ status: offline ? 'offline' : 'error', error: message });
+        throw error;
+    } finally {
+        database.close();
+    }
+}
+
+self.addEventListener('periodicsync', (event) => {
+    console.log('[SW] Periodic Background Sync:', event.tag);
+
+    if (event.tag === EXPIRY_TAG) {
+        event.waitUntil(checkExpiry());
+    }
+});
+
+/**
+ * Revisa las caducidades con la app cerrada: actualiza el globo del icono con los
+ * caducados y, si el usuario activó las alertas, avisa de cada lote (los más urgentes
+ * uno a uno y el resto en un resumen). Un lote avisado no se repite hasta que cambia
+ * su estado (caduca pronto → caduca hoy → caducado) o vence su "Recordar mañana";
+ * ese estado se guarda en IndexedDB.
+ */
+async function checkExpiry() {
+    const database = await openAppDatabase([SW_PRODUCTS_STORE]);
+    if (!database) return;
+
+    try {
+        const lots = await readExpiringLots(database, EXPIRY_SOON_DAYS);
+        await updateAppBadge(lots.filter(lot => lot.days < 0).length);
+
+        const alerts = await readSetting(database, SW_EXPIRY_SETTINGS_KEY);
+        if (!alerts?.enabled || self.Notification?.permission !== 'granted') return;
+
+        const today = getLocalDate();
+        const due = lots.filter(lot => {
+            const state = alerts.items?.[lot.key];
+
+            if (!state) return true;
+            if (state.snoozedUntil) return state.snoozedUntil <= today;
+            return state.notifiedStatus !== getExpiryStatus(lot);
+        });
+
+        if (due.length === 0) return;
+
+        const detailed = due.slice(0, MAX_EXPIRY_NOTIFICATIONS);
+        for (const lot of detailed) {
+            await showExpiryNotification(lot);
+        }
+
+        if (due.length > detailed.length) {
+            await showExpiryDigest(due.slice(detailed.length));
+        }
+
+        const current = new Set(lots.map(lot => lot.key));
+        await updateExpiryAlertItems(database, (items) => {
+            Object.keys(items).forEach(key => {
+                if (!current.has(key)) delete items[key];
+            });
+            due.forEach(lot => {
+                items[lot.key] = { notifiedStatus: getExpiryStatus(lot) };
+            });
+            return items;
+        });
+    } catch (error) {
+        console.error('[SW] Error al revisar caducidades:', error);
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Notificación de un lote con sus acciones. Algunos navegadores muestran solo dos
+ * (Notification.maxActions): van primero las más probables según si ya caducó.
+ */
+function showExpiryNotification(lot) {
+    const order = lot.days < 0
+        ? ['discard', 'add-to-shopping', 'snooze', 'consume']
+        : ['consume', 'snooze', 'add-to-shopping', 'discard'];
+    const [year, month, day] = lot.expiryDate.split('-');
+    const when = lot.days < 0 ? 'caducó' : 'caduca';
+
+    return self.registration.showNotification(getExpiryTitle(lot), {
+        body: `${formatLotQuantity(lot)} · ${when} el ${day}/${month}/${year}`,
+        icon: '/src/assets/icons/icon-192x192.png',
+        badge: '/src/assets/icons/icon-72x72.png',
+        tag: `expiry-${lot.key}`,
+        requireInteraction: lot.days < 0,
+        actions: order
+            .slice(0, self.Notification?.maxActions || order.length)
+            .map(action => ({ action, title: EXPIRY_ACTIONS[action] })),
+        data: {
+            url: '/index.html?tab=caducidad',
+            expiry: { key: lot.key, productId: lot.productId, lotId: lot.lotId }
+        }
+    });
+}
+
+/**
+ * Un solo aviso para los lotes que no caben en notificaciones sueltas
+ */
+function showExpiryDigest(lots) {
+    const expired = lots.filter(lot => lot.days < 0).length;
+
+    return self.registration.showNotification(`🗓️ ${lots.length} producto(s) más por revisar`, {
+        body: `${expired} caducado(s) y ${lots.length - expired} por caducar: ${summarizeNames(lots.map(lot => lot.name))}`,
+        icon: '/src/assets/icons/icon-192x192.png',
+        badge: '/src/assets/icons/icon-72x72.png',
+        tag: 'expiry-digest',
+        actions: [{ action: 'open', title: 'Ver' }],
+        data: { url: '/index.html?tab=caducidad' }
+    });
+}
+
+function getExpiryStatus(lot) {
+    if (lot.days < 0) return 'expired';
+    return lot.days === 0 ? 'today' : 'soon';
+}
+
+function getExpiryTitle(lot) {
+    if (lot.days < 0) return `⚠️ ${lot.name} caducó`;
+    if (lot.days === 0) return `⏰ ${lot.name} caduca hoy`;
+    if (lot.days === 1) return `⏰ ${lot.name} caduca mañana`;
+    return `⏰ ${lot.name} caduca en ${lot.days} días`;
+}
+
+function formatLotQuantity(lot) {
+    const plurals = { unidad: 'unidades', paquete: 'paquetes' };
+    const unit = lot.quantity === 1 ? lot.unit : plurals[lot.unit] || lot.unit;
+    return `${Number(lot.quantity).toLocaleString('es-ES', { maximumFractionDigits: 2 })} ${unit || ''}`.trim();
+}
+
+/**
+ * "leche, pan y 3 más"
+ */
+function summarizeNames(names) {
+    const unique = [...new Set(names)];
+    const shown = unique.slice(0, 3).join(', ');
+    return unique.length > 3 ? `${shown} y ${unique.length - 3} más` : shown;
+}
+
+/**
+ * Fecha local YYYY-MM-DD, desplazada los días indicados
+ */
+function getLocalDate(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    return date.toLocaleDateString('sv-SE');
+}
+
+/**
+ * Acción pulsada en la notificación de un lote: se aplica en IndexedDB sin abrir la app
+ * @param {string} action - Clave de EXPIRY_ACTIONS
+ * @param {Object} lot - { key, productId, lotId }
+ */
+async function handleExpiryAction(action, lot) {
+    const database = await openAppDatabase([SW_PRODUCTS_STORE, SW_SETTINGS_STORE]);
+    if (!database) return;
+
+    try {
+        if (action === 'consume' || action === 'discard') {
+            await takeLot(database, lot, action === 'consume' ? 'consumed' : 'discarded');
+        } else if (action === 'add-to-shopping') {
+            await addProductToShopping(database, lot);
+        } else if (action === 'snooze') {
+            await updateExpiryAlertItems(database, (items) => ({
+                ...items,
+                [lot.key]: { ...items[lot.key], snoozedUntil: getLocalDate(1) }
+            }));
+        }
+
+        const lots = await readExpiringLots(database, EXPIRY_SOON_DAYS);
+        await updateAppBadge(lots.filter(remaining => remaining.days < 0).length);
+    } catch (error) {
+        console.error('[SW] Error en la acción de la notificación:', error);
+    } finally {
+        database.close();
+    }
+
+    // Lo cambiado en el inventario se sube si la sincronización está activa
+    if (action !== 'snooze') {
+        await syncProducts().catch(() => {});
+    }
+}
+
+/**
+ * Número en el icono de la app instalada (Badging API); sin caducados se quita
+ */
+async function updateAppBadge(count) {
+    if (!('setAppBadge' in self.navigator)) return;
+
+    try {
+        if (count > 0) {
+            await self.navigator.setAppBadge(count);
+        } else {
+            await self.navigator.clearAppBadge();
+        }
+    } catch (error) {
+        console.warn('[SW] No se pudo actualizar el globo del icono:', error);
+    }
+}
+
+/**
+ * Avisa a las pestañas abiertas del estado de la sincronización
+ */
+async function notifySyncStatus(status) {
+    const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windowClients.forEach(client => client.postMessage({ type: 'sync-status', ...status }));
 }
 
 
@@ -239,6 +582,16 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
     
+    // Sin Background Sync la app pide la sincronización por mensaje
+    if (event.data.action === 'sync') {
+        event.waitUntil(syncProducts().catch(() => {}));
+    }
+    
+    // La app abierta pide la revisión aquí para que el aviso diario sea uno solo
+    if (event.data.action === 'check-expiry') {
+        event.waitUntil(checkExpiry());
+    }
+    
     if (event.data.action === 'clearCache') {
         event.waitUntil(
             caches.keys().then((names) => {
@@ -0,0 +1,84 @@
+/**
+ * Servidor de sincronización de prueba (solo Node, sin dependencias).
+ * Guarda en memoria los cambios que suben los dispositivos y se los entrega a los demás.
+ *
+ *   node tools/mock-sync-server.mjs            → http://localhost:8787/api
+ *   PORT=9000 node tools/mock-sync-server.mjs
+ *   FAIL=1 node tools/mock-sync-server.mjs     → responde 500 para probar los errores
+ *
+ * API (la misma que espera el Service Worker):
+ *   POST   /api/changes  { deviceId, changes: [...] }   → { cursor }
+ *   GET    /api/changes?since=0&deviceId=...            → { changes, cursor } sin los del propio dispositivo
+ *   DELETE /api/changes                                 → vacía el registro
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL = process.env.FAIL === '1';
+const CHANGES_PATH = '/api/changes';
+
+let log = [];
+let sequence = 0;
+
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readJSON(request) {
+    let text = '';
+    for await (const chunk of request) text += chunk;
+    return JSON.parse(text || '{}');
+}
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+
+    if (request.method === 'OPTIONS') return send(response, 204);
+    if (url.pathname !== CHANGES_PATH) return send(response, 404, { error: 'Ruta desconocida' });
+    if (FAIL) return send(response, 500, { error: 'Fallo simulado' });
+
+    try {
+        if (request.method === 'POST') {
+            const { deviceId, changes = [] } = await readJSON(request);
+
+            if (!deviceId || !Array.isArray(changes)) {
+                return send(response, 400, { error: 'Faltan deviceId o changes' });
+            }
+
+            changes.forEach(change => log.push({ ...change, deviceId, seq: ++sequence }));
+            console.log(`← ${changes.length} cambio(s) de ${deviceId}`);
+            return send(response, 200, { cursor: sequence });
+        }
+
+        if (request.method === 'GET') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const deviceId = url.searchParams.get('deviceId');
+            const changes = log.filter(change => change.seq > since && change.deviceId !== deviceId);
+
+            console.log(`→ ${changes.length} cambio(s) para ${deviceId}`);
+            return send(response, 200, { changes, cursor: sequence });
+        }
+
+        if (request.method === 'DELETE') {
+            log = [];
+            sequence = 0;
+            return send(response, 204);
+        }
+
+        send(response, 405, { error: 'Método no permitido' });
+    } catch (error) {
+        send(response, 400, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Servidor de sincronización de prueba en http://localhost:${PORT}/api`);
+});